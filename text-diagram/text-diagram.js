@@ -12,19 +12,63 @@
  *
  * <program> ::= <empty> | <statements>
  * <statements> ::= <statement> <statements>
- * <statement> ::= <object-declaration> | <message-statement> | <note-statement> | <space-statement>
- * <object-declaration> ::= "object" <object> <EOS>
- * <message-statement> ::= <object> "->" <object> <content> <EOS>
- * <note-statement> ::= <side> "of" <object> <note> <EOS>
+ * <statement> ::= <object-declaration> | <message-statement> | <note-statement> | <space-statement> | <fragment-statement>
+ *               | <activation-statement> | <wrap-statement> | <autonumber-statement> | <lifeline-statement>
+ *               | <divider-statement> | <delay-statement> | <caption-statement> | <box-statement> | <hide-statement>
+ *               | <ref-statement>
+ * <object-declaration> ::= ("object" | <kind>) <participants> <EOS>
+ * <kind> ::= "actor" | "boundary" | "control" | "entity" | "database" | "queue"
+ * <participants> ::= <participant> | <participant> <participants>
+ * <participant> ::= (<object> | <display-name> "as" <object>) ["order" <integer>]
+ *                   (participants are drawn by their order, 0 without one, then by first appearance)
+ * <display-name> ::= '"' <text> '"'      (may contain spaces, "\n" breaks lines)
+ * <message-statement> ::= <end> <arrow> <activation> <end> <content> <EOS>
+ * <end> ::= <object> | "[" | "]"      ("[" and "]" are the left and right edges of the diagram, for messages from or to the outside)
+ * <note-statement> ::= "note" <side> "of" <object> <note> <EOS> | "note" "over" <object> ["," <object>] <note> <EOS>
+ * <side> ::= "left" | "right"      ("over" centers the note on one lifeline, or across the lifelines from one object to another)
+ * <ref-statement> ::= "ref" "over" <object> {"," <object>} ":" <text> ["[[" <link> "]]"] <EOS>
+ *                   (a frame across the lifelines of the objects, referring to another diagram; the HTML and SVG
+ *                   output link the text to <link> if it's http, https, mailto or relative, in which "//"
+ *                   doesn't start a comment)
  * <space-statement> ::= <size>
+ * <divider-statement> ::= "==" <text> "==" <EOS>      (a rule across all lifelines, titled with the text)
+ * <delay-statement> ::= "..." <EOS> | "..." <text> "..." <EOS>      (dotted lifelines)
+ * <caption-statement> ::= ("title" | "header" | "footer") <text> <EOS>
+ *                       | "legend" ["left" | "right" | "center"] <EOS> <lines> "end" "legend" <EOS>
+ *                       (title and header go above the participants, legend and footer below the last row,
+ *                       a later one of a kind replaces an earlier one)
+ * <activation-statement> ::= ("activate" | "deactivate") <object> <EOS>      (an object is declared or in a statement
+ *                   before it's deactivated)
+ * <lifeline-statement> ::= ("create" | "destroy") <object> <EOS>      (create draws the box at the next message to it;
+ *                   an object is created once, before it's in any other statement, and takes no messages once destroyed)
+ * <wrap-statement> ::= "wrap" <size> <EOS>      (wraps the text of later messages and notes, 0 stops)
+ * <autonumber-statement> ::= "autonumber" [<start> [<step>]] <EOS> | "autonumber" ("stop" | "resume") <EOS>
+ * <box-statement> ::= "box" [<label>] <EOS> <object-declarations> "end" "box" <EOS>      (encloses the participants it declares)
+ * <hide-statement> ::= "hide" "unlinked" <EOS>      (leaves out the declared participants no statement refers to)
+ * <label> ::= <text> | '"' <text> '"'
+ * <fragment-statement> ::= <fragment-kind> <condition> <EOS> <statements> <else-clauses> "end" <EOS>
+ * <fragment-kind> ::= "alt" | "opt" | "loop"
+ * <else-clauses> ::= <empty> | "else" <condition> <EOS> <statements> <else-clauses>
+ * <condition> ::= <empty> | <text> | "[" <text> "]"
+ * <arrow> ::= "->" | "-->" | "->>" | "-x" | "<->"
+ * <activation> ::= <empty> | "+" | "-" | "*"      ("+" activates the receiver, "-" deactivates the sender, "*" creates the receiver)
  * <object> ::= ([a-z]|[A-Z]|[0-9]|_)+
  * <content> ::= <empty> | ":" <text>
  * <note> ::= ":" <text>
  * <size> ::= <integer>
  * <EOS> ::= ';' | '\n' | EOF
+ * <comment> ::= "//" <text> '\n'      (anywhere, kept only by format)
+ *
+ * Directives, expanded before the statements are parsed:
+ *
+ * <include> ::= "!include" <path> <EOS>      (the statements and macros of another file, read by the resolver)
+ * <definition> ::= "define" <name> "(" [<param> {"," <param>}] ")" <EOS> <statements> "end" <EOS>
+ * <call> ::= <name> "(" [<argument> {"," <argument>}] ")" <EOS>
+ *            (the statements of the definition, with each word that is a <param> replaced by its <argument>)
  */
 
-var nl = ie ? '\r' : '\n';
+//ie is defined by the hosting page, it doesn't exist outside the browser
+var nl = ('undefined' != typeof ie && ie) ? '\r' : '\n';
 
 /**
  * The main function to draw UML sequence diagram. 3 major steps:
@@ -32,19 +76,73 @@ var nl = ie ? '\r' : '\n';
  * 2) convert the AST to ASCII image objects;
  * 3) convert image objects to HTML;
  */
-function sequence_diagram(in_src) {
-  var ast = parser.sequence_diagram(in_src);
+function sequence_diagram(in_src, in_options) {
+  var ast = parser.sequence_diagram(in_src, in_options);
   //console.log('ast:', ast);
 
-  if (null == ast) {
+  if ('error' == ast.type) {
     return null;
   }
 
-  var cimage = html_render.to_cimage(ast);
+  var cimage = html_render.to_cimage(ast, in_options);
   var dom_ele = html_render.to_html(cimage);
   return dom_ele;
 };
 
+/**
+ * Draw UML sequence diagram as plain text, without DOM. Returns null on syntax
+ * error, parser.sequence_diagram tells where it is.
+ *
+ * in_options.newline: line ending, '\n' by default
+ * in_options.theme: glyphs to draw with, see html_render.themes
+ * in_options.wrap: wrap message and note text at this width, 0 doesn't wrap
+ * in_options.footbox: draw the participant boxes again below the last row
+ * in_options.resolver, in_options.file: read the files of "!include", see parser.sequence_diagram
+ */
+function render_text(in_src, in_options) {
+  var ast = parser.sequence_diagram(in_src, in_options);
+
+  if ('error' == ast.type) {
+    return null;
+  }
+
+  var cimage = html_render.to_cimage(ast, in_options);
+  return html_render.to_text(cimage, (in_options || {}).newline);
+};
+
+/**
+ * Draw UML sequence diagram as a standalone SVG document. Returns null on syntax error.
+ *
+ * in_options.mode: 'grid' for monospace text (default), 'proportional' for sans-serif
+ */
+function render_svg(in_src, in_options) {
+  var ast = parser.sequence_diagram(in_src, in_options);
+
+  if ('error' == ast.type) {
+    return null;
+  }
+
+  return html_render.to_svg(ast, in_options);
+};
+
+/**
+ * Pretty-print diagram source: every participant declared on one object line,
+ * one statement per line with normalized spacing, comments kept. Returns null
+ * on syntax error. Includes and macros stay as they are written; when they declare
+ * participants, the other declarations stay where they are too.
+ *
+ * in_options.resolver, in_options.file: read the files of "!include", see parser.sequence_diagram
+ */
+function format(in_src, in_options) {
+  var ast = parser.sequence_diagram(in_src, in_options);
+
+  if ('error' == ast.type) {
+    return null;
+  }
+
+  return exporter.text_diagram(ast);
+};
+
 //render diagram as html
 var html_render = (function() {
   //cpoint
@@ -52,24 +150,114 @@ var html_render = (function() {
     return { c : in_c, x : in_x, y : in_y, z : in_z };
   }
 
+  //glyphs of the built-in themes, a custom theme only needs the glyphs it changes
+  var _themes = {
+    ascii : {
+      top_left : '+', top_right : '+', bottom_left : '+', bottom_right : '+',
+      horizontal : '-', vertical : '|',
+      divider_left : '|', divider_right : '|',
+      lifeline : '|',
+      note_top_left : '-', note_top_right : '\\', note_bottom_left : '|', note_bottom_right : '|',
+      note_horizontal : '-', note_vertical : '|', note_link : '-',
+      shaft : '-', dashed_shaft : '-', dash_gap : ' ',
+      head_right : '>', head_left : '<', async_right : '>>', async_left : '<<', lost : 'x',
+      self_top_right : '-', self_vertical : '|', self_bottom_right : '-',
+      db_top_left : ' ', db_top : '_', db_top_right : ' ', db_rim_left : '(', db_rim : '_', db_rim_right : ')',
+      db_bottom_left : '(', db_bottom : '_', db_bottom_right : ')',
+      queue_top_left : '.', queue_top_right : '.', queue_bottom_left : "'", queue_bottom_right : "'",
+      queue_left : '(', queue_right : ')',
+      destroy : 'X',
+      section : '=', delay : ':',
+      actor_icon : [ '  O  ', ' /|\\ ', ' / \\ ' ],
+      boundary_icon : [ '| _  ', '|( ) ', '| -  ' ],
+      control_icon : [ '  _< ', ' ( ) ', '  -  ' ],
+      entity_icon : [ '  _  ', ' ( ) ', ' --- ' ]
+    },
+    unicode : {
+      top_left : '\u250c', top_right : '\u2510', bottom_left : '\u2514', bottom_right : '\u2518',
+      horizontal : '\u2500', vertical : '\u2502',
+      divider_left : '\u251c', divider_right : '\u2524',
+      lifeline : '\u2506',
+      note_top_left : '\u250c', note_top_right : '\u2510', note_bottom_left : '\u2514', note_bottom_right : '\u2518',
+      note_horizontal : '\u2500', note_vertical : '\u2502', note_link : '\u2500',
+      shaft : '\u2500', dashed_shaft : '\u2504', dash_gap : '\u2504',
+      head_right : '\u25ba', head_left : '\u25c4', async_right : '\u25b7', async_left : '\u25c1', lost : '\u00d7',
+      self_top_right : '\u2510', self_vertical : '\u2502', self_bottom_right : '\u2518',
+      db_top_left : '\u256d', db_top : '\u2500', db_top_right : '\u256e', db_rim_left : '\u251c', db_rim : '\u2500', db_rim_right : '\u2524',
+      db_bottom_left : '\u2570', db_bottom : '\u2500', db_bottom_right : '\u256f',
+      queue_top_left : '\u256d', queue_top_right : '\u256e', queue_bottom_left : '\u2570', queue_bottom_right : '\u256f',
+      queue_left : '(', queue_right : ')',
+      destroy : '\u2573',
+      section : '\u2550', delay : '\u250a',
+      actor_icon : [ '  \u25cb  ', ' \u2500\u253c\u2500 ', ' \u2571 \u2572 ' ],
+      boundary_icon : [ '\u2502 \u256d\u2500\u256e', '\u251c\u2500\u2524 \u2502', '\u2502 \u2570\u2500\u256f' ],
+      control_icon : [ ' \u256d\u25c4\u256e ', ' \u2502 \u2502 ', ' \u2570\u2500\u256f ' ],
+      entity_icon : [ ' \u256d\u2500\u256e ', ' \u2502 \u2502 ', '\u2500\u2534\u2500\u2534\u2500' ]
+    }
+  };
+
+  //kinds drawn as an icon above the name, the glyphs <kind>_icon of the theme; the other kinds are framed
+  var _icons = { actor : true, boundary : true, control : true, entity : true };
+  //room an icon takes whatever the theme, the layout doesn't depend on it
+  var _icon_width = 5;
+  var _icon_height = 3;
+
+  //in_theme: name of a built-in theme, or glyphs overriding the ascii ones
+  function _glyphs(in_theme) {
+    if (null == in_theme) {
+      return _themes.ascii;
+    }
+    if ('string' == typeof(in_theme)) {
+      return _themes[in_theme] || _themes.ascii;
+    }
+
+    var glyphs = {};
+    for (var k in _themes.ascii) {
+      glyphs[k] = (null == in_theme[k] ? _themes.ascii[k] : in_theme[k]);
+    }
+    return glyphs;
+  }
+
   //create a ccanvas
   function _ccanvas(in_x, in_y) {
     var m = new Array(in_y);
-    for (i = 0; i < in_y; ++i) {
+    for (var i = 0; i < in_y; ++i) {
       m[i] = new Array(in_x);
     }
     return m;
   }
 
-  //convert ccanvas to DOM element
+  //in_link if it's http, https, mailto or relative, else null: javascript: and the like are drawn as plain text
+  function _safe_link(in_link) {
+    if (null == in_link) {
+      return null;
+    }
+    //browsers skip blanks and control characters in the scheme
+    var scheme = /^([^\/?#]*?):/.exec(in_link.replace(/[\x00-\x20]+/g, ''));
+    return (null == scheme || /^(https?|mailto)$/i.test(scheme[1]) ? in_link : null);
+  }
+
+  //convert ccanvas to DOM element, runs of characters with a link become anchors
   function _to_html(in_m) {
     var pre = document.createElement('pre');
     pre.id = 'diagram';
 
-    for (y = 0; y < in_m.length; ++y) {
-      for (x = 0; x < in_m[y].length; ++x) {
+    for (var y = 0; y < in_m.length; ++y) {
+      var a = null;
+      for (var x = 0; x < in_m[y].length; ++x) {
         var c = in_m[y][x] ? in_m[y][x].c : ' ';
-        pre.appendChild(document.createTextNode(c));
+        var link = in_m[y][x] ? in_m[y][x].link : null;
+        if (null == link) {
+          a = null;
+          pre.appendChild(document.createTextNode(c));
+          continue;
+        }
+        if (null == a || a.getAttribute('href') != link) {
+          a = document.createElement('a');
+          a.setAttribute('href', link);
+          pre.appendChild(a);
+        }
+        a.appendChild(document.createTextNode(c));
       }
       pre.appendChild(document.createTextNode(nl));
     }
@@ -77,70 +265,302 @@ var html_render = (function() {
     return pre;
   }
 
-  function _add_meta(in_ast) {
+  //convert ccanvas to string, one line per row without trailing spaces
+  function _to_text(in_m, in_newline) {
+    var newline = (null == in_newline ? '\n' : in_newline);
+    var rows = [];
+
+    for (var y = 0; y < in_m.length; ++y) {
+      var row = '';
+      for (var x = 0; x < in_m[y].length; ++x) {
+        row += in_m[y][x] ? in_m[y][x].c : ' ';
+      }
+      rows.push(row.replace(/\s+$/, ''));
+    }
+
+    return rows.join(newline) + newline;
+  }
+
+  //in_options.wrap: width to wrap message and note text at, until a wrap statement changes it
+  //in_options.footbox: repeat the participant boxes below the last row
+  //in_options.strict: warn about messages to or from participants that aren't declared, in meta.warnings
+  //(with the file of a statement that was included)
+  //in_options.show_unlinked: keep the participants "hide unlinked" leaves out
+  function _add_meta(in_ast, in_options) {
     in_ast.meta = {};
 
+    //maps by participant name have no inherited names, "constructor" is a participant like any other
     var meta = in_ast.meta;
     meta.objs = [];
-    meta.obj_idxes = {};
-    meta.boxes = {};
-    meta.lines = {};
-    meta.x_spans = {};
-    meta.notes = {};
-    meta.messages = {};
+    meta.obj_idxes = Object.create(null);
+    meta.labels = Object.create(null);
+    meta.kinds = Object.create(null);
+    meta.boxes = Object.create(null);
+    meta.lines = Object.create(null);
+    meta.x_spans = Object.create(null);
+    meta.notes = Object.create(null);
+    meta.messages = Object.create(null);
     meta.statements = [];
+    meta.fragments = [];
+    meta.activations = Object.create(null);
+    meta.max_depths = Object.create(null);
+    meta.creations = Object.create(null); //statement drawing the box of an object created on the way
+    meta.destructions = Object.create(null);
+    meta.captions = { header : null, title : null, legend : null, footer : null };
+    meta.groups = []; //box statements enclosing participants
+    meta.warnings = []; //{ line, message }
+
+    var options = in_options || {};
+    var wrap_width = options.wrap || 0;
+    var numbering = { on : false, next : 1, step : 1 };
+    var to_create = Object.create(null);
+
+    var depths = Object.create(null);
+    function _activate(obj, in_delta) {
+      depths[obj] = Math.max(0, depths[obj] + in_delta);
+      meta.max_depths[obj] = Math.max(meta.max_depths[obj], depths[obj]);
+    }
 
-    function _traverse(ast) {
-      ast.meta = ast.meta || {};
+    // set index for each object (participant)
+    function _add_obj(obj) {
+      if (null == meta.obj_idxes[obj]) {
+        var idx = meta.objs.length;
+        meta.obj_idxes[obj] = idx;
+        meta.objs.push(obj);
+        meta.labels[obj] = obj;
+        meta.kinds[obj] = 'participant';
+        meta.boxes[obj] = {};
+        meta.lines[obj] = {};
+        meta.x_spans[obj] = {};
+        meta.notes[obj] = [];
+        meta.messages[obj] = [];
+        meta.activations[obj] = [];
+        meta.max_depths[obj] = 0;
+        depths[obj] = 0;
+      }
+    }
+
+    //participants in order of first appearance, whether they are declared (object or create) or linked (any other statement)
+    var appearance = [];
+    var appeared = Object.create(null);
+    var orders = Object.create(null);
+    var declared = Object.create(null);
+    var linked = Object.create(null);
+    var grouped = Object.create(null); //box statement declaring a participant
+    var created = []; //objects of "create" statements, they appear with the message creating them
+    var hide_unlinked = false;
+    function _collect(ast, in_group) {
+      var objs = [];
+      var is_declaration = false;
+      if ('object_declaration' == ast.type) {
+        objs = ast.attr.names;
+        is_declaration = true;
+        for (var obj in ast.attr.orders) {
+          orders[obj] = ast.attr.orders[obj];
+        }
+        for (var i = 0; i < objs.length && null != in_group; ++i) {
+          grouped[objs[i]] = grouped[objs[i]] || in_group;
+        }
+      }
+      else if ('message_statement' == ast.type) {
+        objs = [ast.attr.sender, ast.attr.receiver];
+      }
+      else if ('note_statement' == ast.type || 'ref_statement' == ast.type) {
+        objs = ast.attr.objects;
+      }
+      else if ('activation_statement' == ast.type || 'lifeline_statement' == ast.type) {
+        objs = [ast.attr.object];
+      }
+      else if ('hide_statement' == ast.type) {
+        hide_unlinked = true;
+      }
+
+      for (var i = 0; i < objs.length; ++i) {
+        if (parser.is_edge(objs[i])) {
+          continue;
+        }
+        if ('lifeline_statement' == ast.type && 'create' == ast.attr.action) {
+          created.push(objs[i]);
+        }
+        else if (!appeared[objs[i]]) {
+          appeared[objs[i]] = true;
+          appearance.push(objs[i]);
+        }
+        if (is_declaration) {
+          declared[objs[i]] = true;
+        }
+        else {
+          linked[objs[i]] = true;
+        }
+      }
+      if ('lifeline_statement' == ast.type && 'create' == ast.attr.action) {
+        declared[ast.attr.object] = true;
+      }
+      for (var i in ast.children) {
+        _collect(ast.children[i], 'box_statement' == ast.type ? ast : in_group);
+      }
+    }
+    _collect(in_ast);
+    //created but never in a message, after the others
+    for (var i = 0; i < created.length; ++i) {
+      if (!appeared[created[i]]) {
+        appeared[created[i]] = true;
+        appearance.push(created[i]);
+      }
+    }
+    meta.orders = orders; //order hints by participant
+
+    //indexes by order hint, 0 without one, then by first appearance
+    var hidden = Object.create(null);
+    var ordered = [];
+    for (var i = 0; i < appearance.length; ++i) {
+      if (hide_unlinked && !linked[appearance[i]] && !options.show_unlinked) {
+        hidden[appearance[i]] = true;
+      }
+      else {
+        ordered.push({ obj : appearance[i], order : orders[appearance[i]] || 0, appearance : i });
+      }
+    }
+    ordered.sort(function(a, b) {
+      return (a.order - b.order) || (a.appearance - b.appearance);
+    });
+    //the participants of a group stay together, where the first of them is
+    for (var i = 0; i < ordered.length; ++i) {
+      var group = grouped[ordered[i].obj];
+      for (var j = i; j < ordered.length; ++j) {
+        if (j == i || (null != group && grouped[ordered[j].obj] == group)) {
+          _add_obj(ordered[j].obj);
+        }
+      }
+    }
 
-            // set index for each object (participant)
-      function _add_obj(obj) {
-        if (null == meta.obj_idxes[obj]) {
-          var idx = meta.objs.length;
-          meta.obj_idxes[obj] = idx;
-          meta.objs.push(obj);
-          meta.boxes[obj] = {};
-          meta.lines[obj] = {};
-          meta.x_spans[obj] = {};
-          meta.notes[obj] = [];
-          meta.messages[obj] = [];
+    var warned = Object.create(null);
+    //at the line of in_ast, in its file when it was included
+    function _check_declared(obj, in_ast) {
+      if (options.strict && !declared[obj] && !warned[obj] && !parser.is_edge(obj)) {
+        warned[obj] = true;
+        var warning = { line : in_ast.line, message : "'" + obj + "' is not declared" };
+        if (null != in_ast.file) {
+          warning.file = in_ast.file;
         }
+        meta.warnings.push(warning);
       }
+    }
+
+    function _traverse(ast) {
+      ast.meta = ast.meta || {};
 
       if ('object_declaration' == ast.type) {
         for (var i in ast.attr.names) {
-          _add_obj(ast.attr.names[i]);
+          var obj = ast.attr.names[i];
+          if (!hidden[obj]) {
+            meta.kinds[obj] = ast.attr.kind;
+            if (null != ast.attr.labels[obj]) {
+              meta.labels[obj] = ast.attr.labels[obj];
+            }
+          }
         }
       }
       else if ('message_statement' == ast.type) {
         meta.statements.push(ast);
+        ast.meta.text = _wrap(ast.attr.message, wrap_width);
+        if (numbering.on) {
+          ast.meta.number = numbering.next;
+          ast.meta.text = _numbered(ast.meta.text, ast.meta.number);
+          numbering.next += numbering.step;
+        }
 
         var s = ast.attr.sender;
         var r = ast.attr.receiver;
+        _check_declared(s, ast);
+        _check_declared(r, ast);
 
-        //object index
-        _add_obj(s);
-        _add_obj(r);
-        ast.meta.sender_index = meta.obj_idxes[s];
-        ast.meta.receiver_index = meta.obj_idxes[r];
+        //object index, the left edge is before the first object and the right edge after the last
+        ast.meta.sender_index = ('[' == s ? -1 : ']' == s ? meta.objs.length : meta.obj_idxes[s]);
+        ast.meta.receiver_index = ('[' == r ? -1 : ']' == r ? meta.objs.length : meta.obj_idxes[r]);
 
         var left_obj = meta.objs[Math.min(ast.meta.sender_index, ast.meta.receiver_index)];
         var right_obj = meta.objs[Math.max(ast.meta.sender_index, ast.meta.receiver_index)];
+        if (parser.is_edge(s) || parser.is_edge(r)) {
+          //from or to outside, only the object takes part in the layout
+          ast.meta.edge = ('[' == s || '[' == r ? 'left' : 'right');
+          left_obj = right_obj = (parser.is_edge(s) ? r : s);
+        }
         ast.meta.left_obj = left_obj;
         ast.meta.right_obj = right_obj;
 
-        meta.messages[left_obj].push(ast);
-      }
-      else if ('note_statement' == ast.type) {
-        meta.statements.push(ast);
+        if ((ast.attr.create || to_create[r]) && s != r && null == meta.creations[r]) {
+          ast.meta.creates = true;
+          meta.creations[r] = ast;
+          delete to_create[r];
+        }
 
-        var obj = ast.attr.object;
-        var side = ast.attr.side;
-        var content = ast.attr.content;
+        if (null == ast.meta.edge) {
+          meta.messages[left_obj].push(ast);
+        }
 
-        _add_obj(obj);
+        if ('activate' == ast.attr.activation) {
+          _activate(r, 1);
+        }
+        else if ('deactivate' == ast.attr.activation) {
+          _activate(s, -1);
+        }
+      }
+      else if ('divider_statement' == ast.type || 'delay_statement' == ast.type) {
+        meta.statements.push(ast);
+      }
+      else if ('caption_statement' == ast.type) {
+        meta.captions[ast.attr.kind] = ast;
+      }
+      else if ('box_statement' == ast.type) {
+        meta.groups.push(ast);
+      }
+      else if ('note_statement' == ast.type || 'ref_statement' == ast.type) {
+        meta.statements.push(ast);
+        ast.meta.text = _wrap(ast.attr.content, wrap_width);
+
+        //a note over or a ref is kept with the leftmost object it covers
+        var first = meta.objs.length;
+        var last = -1;
+        for (var i = 0; i < ast.attr.objects.length; ++i) {
+          first = Math.min(first, meta.obj_idxes[ast.attr.objects[i]]);
+          last = Math.max(last, meta.obj_idxes[ast.attr.objects[i]]);
+        }
+        ast.meta.left_obj = meta.objs[first];
+        ast.meta.right_obj = meta.objs[last];
 
-        meta.notes[obj].push(ast);
+        meta.notes[ast.meta.left_obj].push(ast);
+      }
+      else if ('fragment_statement' == ast.type) {
+        meta.fragments.push(ast);
+      }
+      else if ('activation_statement' == ast.type) {
+        //a box ending right after a note or a ref ends below it, not beside its bottom border
+        var pre_ast = meta.statements[meta.statements.length - 1];
+        ast.meta.after_note = ('deactivate' == ast.attr.action && null != pre_ast
+          && ('note_statement' == pre_ast.type || 'ref_statement' == pre_ast.type));
+        meta.statements.push(ast);
+        _activate(ast.attr.object, 'activate' == ast.attr.action ? 1 : -1);
+      }
+      else if ('wrap_statement' == ast.type) {
+        wrap_width = ast.attr.width;
+      }
+      else if ('lifeline_statement' == ast.type) {
+        meta.statements.push(ast);
+        if ('create' == ast.attr.action) {
+          to_create[ast.attr.object] = ast;
+        }
+        else {
+          meta.destructions[ast.attr.object] = ast;
+        }
+      }
+      else if ('autonumber_statement' == ast.type) {
+        if ('start' == ast.attr.action) {
+          numbering = { on : true, next : ast.attr.start, step : ast.attr.step };
+        }
+        else {
+          numbering.on = ('resume' == ast.attr.action);
+        }
       }
 
       for (var i in ast.children) {
@@ -150,24 +570,88 @@ var html_render = (function() {
 
     _traverse(in_ast);
 
+    //no message to a created object, its box is drawn by the create statement
+    for (var obj in to_create) {
+      if (null == meta.creations[obj]) {
+        to_create[obj].meta.creates = true;
+        meta.creations[obj] = to_create[obj];
+      }
+    }
+
+    //a group spans the participants it declares, from the leftmost to the rightmost
+    for (var i = 0; i < meta.groups.length; ++i) {
+      var group = meta.groups[i];
+      var declarations = group.children[0].children;
+      group.meta.first = null;
+      group.meta.last = null;
+      for (var j = 0; j < declarations.length; ++j) {
+        for (var k = 0; k < declarations[j].attr.names.length; ++k) {
+          var idx = meta.obj_idxes[declarations[j].attr.names[k]];
+          if (null == idx) {
+            continue;
+          }
+          group.meta.first = (null == group.meta.first ? idx : Math.min(group.meta.first, idx));
+          group.meta.last = (null == group.meta.last ? idx : Math.max(group.meta.last, idx));
+        }
+      }
+    }
+
+    //right border of a group, a blank column after everything of its participants and after its label,
+    //the text of a message leaving to the right included
+    function _group_x2(group) {
+      var x2 = group.meta.x1 + group.attr.label.length + 3;
+      for (var i = group.meta.first; i <= group.meta.last; ++i) {
+        var obj = meta.objs[i];
+        x2 = Math.max(x2, meta.x_spans[obj].x2 + 1);
+        for (var j = 0; j < meta.messages[obj].length; ++j) {
+          var msg_ast = meta.messages[obj][j];
+          if (msg_ast.attr.sender == obj && msg_ast.meta.receiver_index > group.meta.last) {
+            x2 = Math.max(x2, meta.lines[obj].x_offset + _right_room(obj) + _msg_width(msg_ast.meta.text) + 1);
+          }
+        }
+        for (var j = 0; j < meta.notes[obj].length; ++j) {
+          var note_ast = meta.notes[obj][j];
+          if ('over' == note_ast.attr.side && meta.obj_idxes[note_ast.meta.right_obj] <= group.meta.last) {
+            x2 = Math.max(x2, _over_note(meta, note_ast).x2 + 2);
+          }
+        }
+      }
+      return x2;
+    }
+
+    //room taken by the deepest activation left and right of a lifeline
+    function _left_room(obj) {
+      return _activation_edges(meta.max_depths[obj]).left;
+    }
+    function _right_room(obj) {
+      return _activation_edges(meta.max_depths[obj]).right;
+    }
+
+    //all participant headers are as tall as the tallest one, boxes stretch and icons sit at the bottom
+    meta.header_height = 3;
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var obj = meta.objs[i];
+      meta.header_height = Math.max(meta.header_height, _header_height(meta.kinds[obj], meta.labels[obj]));
+    }
+
     //calculate position for each object (participant)
     for (var i = 0; i < meta.objs.length; ++i) {
       var obj = meta.objs[i];
-      var box_width = _box_width(obj);
+      var box_width = _header_width(meta.kinds[obj], meta.labels[obj]);
       var half_box_width = (box_width - 1) / 2;
 
       meta.boxes[obj].x1 = (0 == i ? 0 : meta.boxes[meta.objs[i-1]].x2 + 1);
-      meta.x_spans[obj].x2 = box_width;
 
-      var pre_line_offset = (0 == i ? -1 : meta.lines[meta.objs[i-1]].x_offset);
+      var pre_line_offset = (0 == i ? -1 : meta.lines[meta.objs[i-1]].x_offset + _right_room(meta.objs[i-1]));
+      var room = _left_room(obj);
 
       // 1) box.x1
       //// left note
       for (var j = 0; j < meta.notes[obj].length; ++j) {
         var note_ast = meta.notes[obj][j];
-        var note_width = _note_width(note_ast.attr.content);
+        var note_width = _note_width(note_ast.meta.text);
         if ('left' == note_ast.attr.side) {
-          meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, pre_line_offset + 1 + note_width + 1 - half_box_width);
+          meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, pre_line_offset + 1 + note_width + 1 + room - half_box_width);
         }
       }
 
@@ -177,7 +661,30 @@ var html_render = (function() {
         for (var k = 0; k < meta.notes[pre_obj].length; ++k) {
           var note_ast = meta.notes[pre_obj][k];
           if ('right' == note_ast.attr.side) {
-            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, meta.lines[pre_obj].x_offset + 1 + _note_width(note_ast.attr.content));
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, pre_line_offset + 1 + _note_width(note_ast.meta.text) + room);
+          }
+        }
+      }
+
+      //// note over, clear of the previous lifeline and as wide as its text between the outermost lifelines
+      for (var j = 0; j <= i; j++) {
+        var pre_obj = meta.objs[j];
+        for (var k = 0; k < meta.notes[pre_obj].length; ++k) {
+          var note_ast = meta.notes[pre_obj][k];
+          if ('over' != note_ast.attr.side) {
+            continue;
+          }
+          var note_width = _note_width(note_ast);
+          var single = (note_ast.meta.left_obj == note_ast.meta.right_obj);
+          if (note_ast.meta.left_obj == obj) {
+            var left_width = (single ? Math.ceil((note_width - 1) / 2) : 2);
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, pre_line_offset + 2 + left_width - half_box_width);
+          }
+          else if (note_ast.meta.right_obj == obj) {
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, meta.lines[note_ast.meta.left_obj].x_offset + note_width - 5 - half_box_width);
+          }
+          else if (i > 0 && note_ast.meta.right_obj == meta.objs[i-1]) {
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, _over_note(meta, note_ast).x2 + 2 + room);
           }
         }
       }
@@ -188,7 +695,7 @@ var html_render = (function() {
         for (var k = 0; k < meta.messages[pre_obj].length; ++k) {
           var msg_ast = meta.messages[pre_obj][k];
           if (msg_ast.meta.right_obj == obj) {
-            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, meta.lines[pre_obj].x_offset + 1 + _msg_width(msg_ast.attr.message));
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, meta.lines[pre_obj].x_offset + _right_room(pre_obj) + 1 + _msg_width(msg_ast.meta.text) + room);
           }
         }
       }
@@ -198,10 +705,80 @@ var html_render = (function() {
         for (var j = 0; j < meta.messages[pre_obj].length; ++j) {
           var tmp_ast = meta.messages[pre_obj][j];
           if (tmp_ast.meta.sender_index == tmp_ast.meta.receiver_index) {
-            var message_width = _msg_width(tmp_ast.attr.message);
-            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, meta.lines[pre_obj].x_offset + 1 + message_width);
+            var message_width = _msg_width(tmp_ast.meta.text);
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, pre_line_offset + 1 + message_width + room);
+          }
+        }
+      }
+
+      //// groups: a blank column on both sides of their borders, no message text or note across them
+      var left_limit = (0 == i ? 0 : meta.x_spans[meta.objs[i-1]].x2); //first free column
+      var backward = []; //messages from obj to the left, their text is right-aligned before the lifeline of obj
+      for (var j = 0; j < i; ++j) {
+        var pre_obj = meta.objs[j];
+        for (var k = 0; k < meta.messages[pre_obj].length; ++k) {
+          var msg_ast = meta.messages[pre_obj][k];
+          if (msg_ast.meta.right_obj == obj && msg_ast.attr.sender == obj) {
+            backward.push(msg_ast);
+          }
+        }
+      }
+      for (var j = 0; j < meta.groups.length; ++j) {
+        var group = meta.groups[j];
+        if (null == group.meta.first || group.meta.first >= i) {
+          continue;
+        }
+        if (group.meta.last == i - 1) {
+          group.meta.x2 = _group_x2(group);
+          left_limit = Math.max(left_limit, group.meta.x2 + 1);
+          meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, left_limit + 1);
+        }
+        for (var k = 0; k < backward.length; ++k) {
+          var msg_width = _msg_width(backward[k].meta.text);
+          var left_index = backward[k].meta.receiver_index;
+          if (group.meta.last < i && left_index <= group.meta.last) {
+            //right of a group the message goes into or across
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, group.meta.x2 + msg_width + room + 1 - half_box_width);
+          }
+          else if (group.meta.last >= i && left_index < group.meta.first) {
+            //inside the group of obj, which it leaves
+            meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, group.meta.x1 + msg_width + room + 1 - half_box_width);
+          }
+        }
+      }
+      for (var j = 0; j < meta.groups.length; ++j) {
+        var group = meta.groups[j];
+        if (group.meta.first != i) {
+          continue;
+        }
+        //the group starts after the text of messages going into or across it from the left
+        for (var k = 0; k < i; ++k) {
+          var pre_obj = meta.objs[k];
+          for (var l = 0; l < meta.messages[pre_obj].length; ++l) {
+            var msg_ast = meta.messages[pre_obj][l];
+            if (msg_ast.attr.sender == pre_obj && msg_ast.meta.left_obj == pre_obj && msg_ast.meta.right_obj != pre_obj
+              && meta.obj_idxes[msg_ast.meta.right_obj] >= i) {
+              left_limit = Math.max(left_limit, meta.lines[pre_obj].x_offset + _right_room(pre_obj) + _msg_width(msg_ast.meta.text));
+            }
           }
         }
+        //and encloses the notes and message text left of its first participant
+        var reach = 0;
+        for (var k = 0; k < meta.notes[obj].length; ++k) {
+          var note_ast = meta.notes[obj][k];
+          var note_width = _note_width(note_ast);
+          if ('left' == note_ast.attr.side) {
+            reach = Math.max(reach, room + 1 + note_width - half_box_width);
+          }
+          else if ('over' == note_ast.attr.side) {
+            reach = Math.max(reach, (note_ast.meta.left_obj == note_ast.meta.right_obj ? Math.ceil((note_width - 1) / 2) : 2) - half_box_width);
+          }
+        }
+        for (var k = 0; k < backward.length; ++k) {
+          reach = Math.max(reach, room + _msg_width(backward[k].meta.text) - 1 - half_box_width);
+        }
+        meta.boxes[obj].x1 = Math.max(meta.boxes[obj].x1, left_limit + 3 + reach);
+        group.meta.x1 = meta.boxes[obj].x1 - reach - 2;
       }
 
       meta.boxes[obj].x2 = meta.boxes[obj].x1 + box_width;
@@ -211,20 +788,77 @@ var html_render = (function() {
 
       // 3) x_span
       meta.x_spans[obj].x1 = meta.boxes[obj].x1;
+      meta.x_spans[obj].x2 = meta.boxes[obj].x2;
       for (var j = 0; j < meta.notes[obj].length; ++j) {
         var note = meta.notes[obj][j];
         var note_width = _note_width(note);
-        if ('right' == note.side) {
-          meta.x_spans[obj].x2 = Math.max(meta.x_spans[obj].x2, meta.lines[obj].x_offset + 1 + note_width);
+        if ('right' == note.attr.side) {
+          meta.x_spans[obj].x2 = Math.max(meta.x_spans[obj].x2, meta.lines[obj].x_offset + _right_room(obj) + 2 + note_width);
         }
       }
       for (var j = 0; j < meta.messages[obj].length; ++j) {
         var tmp_ast = meta.messages[obj][j];
         if (tmp_ast.meta.sender_index == tmp_ast.meta.receiver_index) {
-          var message_width = _msg_width(tmp_ast.attr.message);
-          meta.x_spans[obj].x2 = Math.max(meta.x_spans[obj].x2, meta.lines[obj].x_offset + 1 + message_width);
+          var message_width = _msg_width(tmp_ast.meta.text);
+          meta.x_spans[obj].x2 = Math.max(meta.x_spans[obj].x2, meta.lines[obj].x_offset + _right_room(obj) + 1 + message_width);
+        }
+      }
+    }
+
+    //columns [x1, x2] occupied by a message or note
+    function _statement_span(ast) {
+      if ('message_statement' == ast.type) {
+        var left_obj = ast.meta.left_obj;
+        var x1 = meta.lines[left_obj].x_offset - _left_room(left_obj);
+        if (ast.meta.sender_index == ast.meta.receiver_index) {
+          return { x1 : x1, x2 : meta.lines[left_obj].x_offset + _right_room(left_obj) + 1 + _msg_width(ast.meta.text) };
+        }
+        return { x1 : x1, x2 : meta.lines[ast.meta.right_obj].x_offset + _right_room(ast.meta.right_obj) };
+      }
+      else if (('note_statement' == ast.type && 'over' == ast.attr.side) || 'ref_statement' == ast.type) {
+        return _over_note(meta, ast);
+      }
+      else if ('note_statement' == ast.type) {
+        var obj = ast.attr.object;
+        var x_offset = meta.lines[obj].x_offset;
+        var note_width = _note_width(ast.meta.text);
+        if ('left' == ast.attr.side) {
+          return { x1 : x_offset - _left_room(obj) - 1 - note_width, x2 : x_offset + _right_room(obj) };
+        }
+        return { x1 : x_offset - _left_room(obj), x2 : x_offset + _right_room(obj) + 1 + note_width };
+      }
+      else if ('fragment_statement' == ast.type) {
+        return _fragment_span(ast);
+      }
+      return null;
+    }
+
+    //a frame keeps one blank column around everything it encloses, nested frames included
+    function _fragment_span(ast) {
+      var span = null;
+      for (var i = 0; i < ast.children.length; ++i) {
+        var statements = ast.children[i].children;
+        for (var j = 0; j < statements.length; ++j) {
+          var s = _statement_span(statements[j]);
+          if (null != s) {
+            span = (null == span ? s : { x1 : Math.min(span.x1, s.x1), x2 : Math.max(span.x2, s.x2) });
+          }
         }
       }
+
+      if (null == span) {
+        var x_offset = (meta.objs.length > 0 ? meta.lines[meta.objs[0]].x_offset : 0);
+        span = { x1 : x_offset, x2 : x_offset };
+      }
+
+      ast.meta.x1 = span.x1 - 2;
+      ast.meta.x2 = span.x2 + 2;
+      for (var i = 0; i < ast.children.length; ++i) {
+        var label = _fragment_label(ast, i);
+        ast.meta.x2 = Math.max(ast.meta.x2, ast.meta.x1 + label.length + 3);
+      }
+
+      return { x1 : ast.meta.x1, x2 : ast.meta.x2 };
     }
 
     //get canvas width
@@ -234,10 +868,57 @@ var html_render = (function() {
       min_x = Math.min(meta.x_spans[i].x1, min_x);
       max_x = Math.max(meta.x_spans[i].x2, max_x);
     }
+    for (var i = 0; i < meta.groups.length; ++i) {
+      var group = meta.groups[i];
+      if (null != group.meta.first) {
+        group.meta.x2 = _group_x2(group);
+        min_x = Math.min(group.meta.x1, min_x);
+        max_x = Math.max(group.meta.x2 + 1, max_x);
+      }
+    }
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var notes = meta.notes[meta.objs[i]];
+      for (var j = 0; j < notes.length; ++j) {
+        if ('over' == notes[j].attr.side) {
+          max_x = Math.max(_over_note(meta, notes[j]).x2 + 1, max_x);
+        }
+      }
+    }
+    for (var i = 0; i < meta.fragments.length; ++i) {
+      _fragment_span(meta.fragments[i]);
+      min_x = Math.min(meta.fragments[i].meta.x1, min_x);
+      max_x = Math.max(meta.fragments[i].meta.x2 + 1, max_x);
+    }
+    //messages from and to the outside run to the edge of the canvas, their text in a margin beyond everything else
+    var margins = { left : 0, right : 0 };
+    for (var i = 0; i < meta.statements.length; ++i) {
+      var ast = meta.statements[i];
+      if ('message_statement' == ast.type && null != ast.meta.edge) {
+        margins[ast.meta.edge] = Math.max(margins[ast.meta.edge], _msg_width(ast.meta.text));
+      }
+    }
+    min_x -= margins.left;
+    max_x += margins.right;
+    //titles of dividers and delays are centered, the canvas is at least as wide as they are and the captions
+    for (var i = 0; i < meta.statements.length; ++i) {
+      var ast = meta.statements[i];
+      if ('divider_statement' == ast.type || 'delay_statement' == ast.type) {
+        max_x = Math.max(max_x, min_x + _banner_width(ast));
+      }
+    }
+    for (var kind in meta.captions) {
+      if (null != meta.captions[kind]) {
+        max_x = Math.max(max_x, min_x + _caption_width(meta.captions[kind]));
+      }
+    }
     meta.min_x = min_x;
     meta.max_x = max_x;
     meta.width = max_x - min_x;
 
+    function _created_height(obj) {
+      return _header_height(meta.kinds[obj], meta.labels[obj]);
+    }
+
     //get canvas height
     function _get_height(ast, in_y_offset) {
       ast.meta.y1 = in_y_offset;
@@ -248,23 +929,58 @@ var html_render = (function() {
       else if ('message_statement' == ast.type) {
         if (ast.meta.sender_index == ast.meta.receiver_index)
         {
-          ast.meta.y2 = in_y_offset + 4 + ast.attr.message.split('\\n').length;
+          ast.meta.y2 = in_y_offset + 4 + ast.meta.text.split('\\n').length;
         }
         else
         {
-          ast.meta.y2 = in_y_offset + 2 + ast.attr.message.split('\\n').length;;
+          ast.meta.y2 = in_y_offset + 2 + ast.meta.text.split('\\n').length;;
+        }
+        //the box of a created receiver is centered on the arrow
+        if (ast.meta.creates) {
+          var box_height = _created_height(ast.attr.receiver);
+          ast.meta.y2 += box_height - 1 - Math.floor((box_height - 1) / 2);
         }
       }
-      else if ('note_statement' == ast.type) {
-        ast.meta.y2 = in_y_offset + 2 + ast.attr.content.split('\\n').length;
+      else if ('lifeline_statement' == ast.type) {
+        ast.meta.y2 = in_y_offset + (ast.meta.creates ? _created_height(ast.attr.object) + 1 : 0);
+      }
+      else if ('note_statement' == ast.type || 'ref_statement' == ast.type) {
+        ast.meta.y2 = in_y_offset + 2 + ast.meta.text.split('\\n').length;
       }
       else if ('space_statement' == ast.type) {
         ast.meta.y2 = in_y_offset + ast.attr.gap_size;
       }
+      else if ('divider_statement' == ast.type) {
+        //a blank row, then the rule
+        ast.meta.y2 = in_y_offset + 2;
+      }
+      else if ('delay_statement' == ast.type) {
+        //a blank row, then 3 dotted rows with the text in the middle one
+        ast.meta.y2 = in_y_offset + 4;
+      }
+      else if ('activation_statement' == ast.type && ast.meta.after_note) {
+        ast.meta.y2 = in_y_offset + 1;
+      }
+      else if ('activation_statement' == ast.type || 'wrap_statement' == ast.type || 'autonumber_statement' == ast.type
+        || 'caption_statement' == ast.type || 'hide_statement' == ast.type) {
+        ast.meta.y2 = in_y_offset;
+      }
+      else if ('fragment_statement' == ast.type) {
+        //top border, then each section followed by a blank row and an "else" divider or the bottom border
+        var y = in_y_offset + 1;
+        ast.meta.dividers = [];
+        for (var i = 0; i < ast.children.length; ++i) {
+          ast.meta.dividers.push(y);
+          _get_height(ast.children[i], y + 1);
+          y = ast.children[i].meta.y2 + 1;
+        }
+        ast.meta.bottom = y;
+        ast.meta.y2 = y + 1;
+      }
       else {
         var y_offset;
         if ('sequence_diagram' == ast.type) {
-          y_offset = 3;
+          y_offset = meta.top + meta.header_height;
         }
         else {
           y_offset = in_y_offset;
@@ -290,77 +1006,770 @@ var html_render = (function() {
       return ast.meta.y2 - ast.meta.y1;
     }
 
+    //header and title above the participants, each followed by a blank row
+    meta.top = 0;
+    var above = [meta.captions.header, meta.captions.title];
+    for (var i = 0; i < above.length; ++i) {
+      if (null != above[i]) {
+        meta.top += _caption_height(above[i]) + 1;
+      }
+    }
+    //and the top border of the groups
+    var has_groups = false;
+    for (var i = 0; i < meta.groups.length; ++i) {
+      has_groups = has_groups || (null != meta.groups[i].meta.first);
+    }
+    if (has_groups) {
+      meta.top += 1;
+    }
+
     _get_height(in_ast, 0);
     meta.height = in_ast.meta.y2;
-  }
 
-  //convert ast to cimage
-  function _to_cimage(in_ast) {
-    //add meta info to tree
-    _add_meta(in_ast);
+    var y = 0;
+    for (var i = 0; i < above.length; ++i) {
+      if (null != above[i]) {
+        above[i].meta.y1 = y;
+        y += _caption_height(above[i]) + 1;
+      }
+    }
 
-    var meta = in_ast.meta;
+    //lifelines end on the last row, or above the footer boxes repeating the headers
+    meta.bottom = meta.height - 1;
+    meta.footbox_y = null;
+    if ((in_options || {}).footbox) {
+      meta.footbox_y = meta.height;
+      meta.height += meta.header_height;
+    }
 
-    //init canvas
-    var ccanvas = _ccanvas(meta.width, meta.height);
-    //console.log(meta.width + ", " + meta.height);
+    //groups from above the participant boxes down to a row of their own at the bottom
+    if (has_groups) {
+      for (var i = 0; i < meta.groups.length; ++i) {
+        meta.groups[i].meta.y1 = meta.top - 1;
+        meta.groups[i].meta.y2 = meta.height;
+      }
+      meta.height += 1;
+    }
 
-    //name box
-    for (var i in meta.objs) {
-      var obj = meta.objs[i];
-      var cbox = _cbox(obj);
-      _draw_cpoints(ccanvas, meta.boxes[obj].x1 - meta.min_x, 0, cbox);
+    //legend and footer below, each after a blank row
+    var below = [meta.captions.legend, meta.captions.footer];
+    for (var i = 0; i < below.length; ++i) {
+      if (null != below[i]) {
+        below[i].meta.y1 = meta.height + 1;
+        meta.height = below[i].meta.y1 + _caption_height(below[i]);
+      }
     }
 
-    //life line
-    for (var i in meta.objs) {
-      var obj = meta.objs[i];
-      var cline = _lifeline(meta.height - 3);
-      _draw_cpoints(ccanvas, meta.lines[obj].x_offset - meta.min_x, 3, cline);
+    //rows [y1, y2] of the activation boxes on each lifeline, nested ones have a higher level
+    var stacks = Object.create(null);
+    function _push_activation(obj, in_row) {
+      stacks[obj] = stacks[obj] || [];
+      stacks[obj].push({ level : stacks[obj].length, y1 : Math.min(in_row, meta.bottom) });
+    }
+    function _pop_activation(obj, in_row) {
+      if (stacks[obj] && stacks[obj].length > 0) {
+        var activation = stacks[obj].pop();
+        activation.y2 = Math.min(Math.max(in_row, activation.y1 + 1), meta.bottom);
+        meta.activations[obj].push(activation);
+      }
     }
 
-    //messages and notes
-    for (var i in meta.statements) {
+    for (var i = 0; i < meta.statements.length; ++i) {
+      var ast = meta.statements[i];
+      if ('activation_statement' == ast.type) {
+        //the row of the preceding arrow, unless a new box would cover the returning arrow of a self message
+        var pre_ast = (i > 0 ? meta.statements[i - 1] : null);
+        var after_self = (null != pre_ast && 'message_statement' == pre_ast.type && pre_ast.meta.sender_index == pre_ast.meta.receiver_index);
+        var row = Math.max(meta.top + meta.header_height, ast.meta.y1 - 1);
+        if (('activate' == ast.attr.action && after_self) || ast.meta.after_note) {
+          row = ast.meta.y1;
+        }
+        if ('activate' == ast.attr.action) {
+          _push_activation(ast.attr.object, row);
+        }
+        else {
+          _pop_activation(ast.attr.object, row);
+        }
+      }
+      else if ('message_statement' == ast.type) {
+        var is_self = (ast.meta.sender_index == ast.meta.receiver_index);
+        if ('activate' == ast.attr.activation) {
+          //a self call activates below its returning arrow, a created object below its box
+          var row = (is_self ? ast.meta.y2 : _arrow_row(ast));
+          if (ast.meta.creates) {
+            row = ast.meta.y2;
+          }
+          _push_activation(ast.attr.receiver, row);
+        }
+        else if ('deactivate' == ast.attr.activation) {
+          _pop_activation(ast.attr.sender, is_self ? ast.meta.y2 - 1 : _arrow_row(ast));
+        }
+      }
+      else if ('lifeline_statement' == ast.type && 'destroy' == ast.attr.action) {
+        //the lifeline ends at the row of the preceding arrow, like a deactivation
+        var row = Math.max(meta.top + meta.header_height, ast.meta.y1 - 1);
+        ast.meta.row = row;
+        while (stacks[ast.attr.object] && stacks[ast.attr.object].length > 0) {
+          _pop_activation(ast.attr.object, row);
+        }
+      }
+    }
+    for (var obj in stacks) {
+      while (stacks[obj].length > 0) {
+        _pop_activation(obj, meta.bottom);
+      }
+    }
+
+    //rows of each header box and lifeline, created objects start at their creation, destroyed ones end in an X
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var obj = meta.objs[i];
+      var creation = meta.creations[obj];
+      meta.boxes[obj].y1 = meta.top;
+      meta.boxes[obj].height = meta.header_height;
+      if (null != creation) {
+        meta.boxes[obj].height = _created_height(obj);
+        if ('message_statement' == creation.type) {
+          meta.boxes[obj].y1 = _arrow_row(creation) - Math.floor((meta.boxes[obj].height - 1) / 2);
+        }
+        else {
+          meta.boxes[obj].y1 = creation.meta.y1 + 1;
+        }
+      }
+      meta.lines[obj].y1 = meta.boxes[obj].y1 + meta.boxes[obj].height;
+      meta.lines[obj].y2 = (null == meta.destructions[obj] ? meta.bottom : meta.destructions[obj].meta.row);
+    }
+  }
+
+  //columns taken by the title of a divider, with a rule on both sides, or the text of a delay
+  function _banner_width(ast) {
+    if ('' == ast.attr.text) {
+      return 0;
+    }
+    return ast.attr.text.length + 2 + ('divider_statement' == ast.type ? 4 : 0);
+  }
+
+  //lines of a title, header, footer or legend
+  function _caption_lines(ast) {
+    var lines = ast.attr.text.split('\\n');
+    for (var i = 0; i < lines.length; ++i) {
+      lines[i] = util.trim(lines[i]);
+    }
+    return lines;
+  }
+
+  //a legend is framed with a blank column inside the frame on both sides
+  function _caption_width(ast) {
+    var lines = _caption_lines(ast);
+    var width = 0;
+    for (var i = 0; i < lines.length; ++i) {
+      width = Math.max(width, lines[i].length);
+    }
+    return ('legend' == ast.attr.kind ? width + 4 : width);
+  }
+
+  function _caption_height(ast) {
+    return _caption_lines(ast).length + ('legend' == ast.attr.kind ? 2 : 0);
+  }
+
+  //canvas column of a caption, placed by its alignment
+  function _caption_x(in_meta, ast) {
+    var room = in_meta.width - _caption_width(ast);
+    return ('left' == ast.attr.align ? 0 : 'right' == ast.attr.align ? room : Math.floor(room / 2));
+  }
+
+  //row of the arrow of a message, below its text
+  function _arrow_row(ast) {
+    return ast.meta.y1 + 1 + ast.meta.text.split('\\n').length;
+  }
+
+  //columns taken left and right of a lifeline by in_depth nested activations
+  function _activation_edges(in_depth) {
+    return { left : (in_depth > 0 ? 1 : 0), right : (in_depth > 0 ? 2 * in_depth - 1 : 0) };
+  }
+
+  //activation columns taken around the lifeline of in_obj at in_row
+  function _edges_at(in_meta, in_obj, in_row) {
+    var depth = 0;
+    var activations = in_meta.activations[in_obj];
+    for (var i = 0; i < activations.length; ++i) {
+      if (activations[i].y1 <= in_row && in_row <= activations[i].y2) {
+        ++depth;
+      }
+    }
+    return _activation_edges(depth);
+  }
+
+  //convert ast to cimage, in_options.theme picks the glyphs, in_options.wrap the text width,
+  //in_options.footbox repeats the participant boxes at the bottom
+  function _to_cimage(in_ast, in_options) {
+    //add meta info to tree
+    _add_meta(in_ast, in_options);
+
+    var meta = in_ast.meta;
+    var g = _glyphs((in_options || {}).theme);
+
+    //init canvas
+    var ccanvas = _ccanvas(meta.width, meta.height);
+    //console.log(meta.width + ", " + meta.height);
+
+    //groups, below everything else
+    for (var i in meta.groups) {
+      var ast = meta.groups[i];
+      if (null != ast.meta.first) {
+        _draw_cpoints(ccanvas, ast.meta.x1 - meta.min_x, ast.meta.y1, _cgroup(ast, g));
+      }
+    }
+
+    //title, header, legend and footer
+    for (var kind in meta.captions) {
+      var ast = meta.captions[kind];
+      if (null != ast) {
+        _draw_cpoints(ccanvas, _caption_x(meta, ast), ast.meta.y1, _ccaption(ast, g));
+      }
+    }
+
+    //name box
+    for (var i in meta.objs) {
+      var obj = meta.objs[i];
+      var cbox = _cheader(meta.kinds[obj], meta.labels[obj], meta.boxes[obj].height, g);
+      _draw_cpoints(ccanvas, meta.boxes[obj].x1 - meta.min_x, meta.boxes[obj].y1, cbox);
+    }
+
+    //foot box, for every object still alive
+    if (null != meta.footbox_y) {
+      for (var i in meta.objs) {
+        var obj = meta.objs[i];
+        if (null == meta.destructions[obj]) {
+          var cbox = _cheader(meta.kinds[obj], meta.labels[obj], meta.header_height, g);
+          _draw_cpoints(ccanvas, meta.boxes[obj].x1 - meta.min_x, meta.footbox_y, cbox);
+        }
+      }
+    }
+
+    //life line
+    for (var i in meta.objs) {
+      var obj = meta.objs[i];
+      var line = meta.lines[obj];
+      var cline = _lifeline(line.y2 - line.y1 + 1, g);
+      if (null != meta.destructions[obj]) {
+        cline[cline.length - 1] = _cpoint(g.destroy, 0, line.y2 - line.y1, 0);
+      }
+      _draw_cpoints(ccanvas, line.x_offset - meta.min_x, line.y1, cline);
+
+      //delays break the lifeline with dots, up to the destroy point
+      var last_y = (null == meta.destructions[obj] ? line.y2 : line.y2 - 1);
+      for (var j in meta.statements) {
+        var ast = meta.statements[j];
+        if ('delay_statement' == ast.type) {
+          for (var y = Math.max(line.y1, ast.meta.y1 + 1); y <= Math.min(last_y, ast.meta.y2 - 1); ++y) {
+            _draw_cpoints(ccanvas, line.x_offset - meta.min_x, y, [_cpoint(g.delay, 0, 0, 0)]);
+          }
+        }
+      }
+    }
+
+    //activation boxes, outer levels first
+    for (var i in meta.objs) {
+      var obj = meta.objs[i];
+      var activations = meta.activations[obj].slice().sort(function(a, b) { return a.level - b.level; });
+      for (var j = 0; j < activations.length; ++j) {
+        var activation = activations[j];
+        var cactivation = _cactivation(activation.y2 - activation.y1 + 1, g);
+        _draw_cpoints(ccanvas, meta.lines[obj].x_offset - 1 + 2 * activation.level - meta.min_x, activation.y1, cactivation);
+      }
+    }
+
+    //combined fragments, outer frames first
+    for (var i in meta.fragments) {
+      var ast = meta.fragments[i];
+      var cframe = _cframe(ast, g);
+      _draw_cpoints(ccanvas, ast.meta.x1 - meta.min_x, ast.meta.dividers[0], cframe);
+    }
+
+    //messages and notes
+    for (var i in meta.statements) {
       var ast = meta.statements[i];
       //console.log(ast);
       if ('message_statement' == ast.type) {
-        var s = ast.attr.sender;
-        var r = ast.attr.receiver;
-        var leftObj = meta.obj_idxes[s] < meta.obj_idxes[r] ? s : r;
-        var rightObj = meta.obj_idxes[s] < meta.obj_idxes[r] ? r : s;
-        var line_len = meta.lines[rightObj].x_offset - meta.lines[leftObj].x_offset - 1;
+        var geometry = _message_geometry(meta, ast);
+        var line_len = geometry.right_x - geometry.left_x - 1;
 
-        var cmessage = _cmessage(ast.attr.message, line_len, s == leftObj, s == r);
+        var cmessage = _cmessage(ast.meta.text, ast.attr.arrow, line_len, geometry.left_to_right, geometry.is_self, g, geometry.text_left);
 
-        _draw_cpoints(ccanvas, meta.lines[leftObj].x_offset + 1 - meta.min_x, ast.meta.y1, cmessage);
+        _draw_cpoints(ccanvas, geometry.left_x + 1 - meta.min_x, ast.meta.y1, cmessage);
+      }
+      else if ('divider_statement' == ast.type) {
+        _draw_cpoints(ccanvas, 0, ast.meta.y1 + 1, _cbanner(ast.attr.text, meta.width, g.section));
+      }
+      else if ('delay_statement' == ast.type) {
+        _draw_cpoints(ccanvas, 0, ast.meta.y1 + 2, _cbanner(ast.attr.text, meta.width, null));
       }
       else if ('note_statement' == ast.type) {
-        var obj = ast.attr.object;
-        var side = ast.attr.side;
-        var content = ast.attr.content;
-        var cnote = _cnote(content, 'left' == side);
-        if ('right' == side) {
-          _draw_cpoints(ccanvas, meta.lines[obj].x_offset + 1 - meta.min_x, ast.meta.y1, cnote);
+        var span = ('over' == ast.attr.side ? _over_note(meta, ast) : null);
+        var cnote = _cnote(ast.meta.text, ast.attr.side, g, span ? span.x2 - span.x1 + 1 : 0);
+        _draw_cpoints(ccanvas, _note_x(meta, ast) - meta.min_x, ast.meta.y1, cnote);
+      }
+      else if ('ref_statement' == ast.type) {
+        var span = _over_note(meta, ast);
+        _draw_cpoints(ccanvas, span.x1 - meta.min_x, ast.meta.y1, _cref(ast.meta.text, span.x2 - span.x1 + 1, _safe_link(ast.attr.link), g));
+      }
+    }
+
+    return ccanvas;
+  }
+
+  function _svg_escape(in_text) {
+    return String(in_text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  //<name attr="value" ...>content</name>, self-closing without content
+  function _svg_tag(in_name, in_attrs, in_content) {
+    var tag = '<' + in_name;
+    for (var k in in_attrs) {
+      tag += ' ' + k + '="' + _svg_escape(in_attrs[k]) + '"';
+    }
+    return tag + (null == in_content ? '/>' : '>' + in_content + '</' + in_name + '>');
+  }
+
+  /*
+   * convert ast to a standalone SVG document, laid out on the same character grid
+   * as the text image: every column is cell_width wide and every row cell_height tall.
+   *
+   * in_options.mode: 'grid' draws text in monospace (default), 'proportional' in sans-serif
+   */
+  function _to_svg(in_ast, in_options) {
+    var options = in_options || {};
+    var proportional = ('proportional' == options.mode);
+    var cw = (proportional ? 7 : 8); //cell width
+    var ch = 16; //cell height
+    var font_size = (proportional ? 12 : 13);
+    var font = (proportional ? 'Helvetica, Arial, sans-serif' : "'DejaVu Sans Mono', Consolas, 'Courier New', monospace");
+
+    var ccanvas = _to_cimage(in_ast, in_options);
+    var meta = in_ast.meta;
+
+    var cols = 0;
+    for (var y = 0; y < ccanvas.length; ++y) {
+      cols = Math.max(cols, ccanvas[y].length);
+    }
+
+    //centers of a cell
+    function _x(col) {
+      return (col - meta.min_x + 0.5) * cw;
+    }
+    function _y(row) {
+      return (row + 0.5) * ch;
+    }
+
+    var out = [];
+
+    function _text(in_str, in_col, in_row, in_anchor) {
+      var x = ('middle' == in_anchor ? _x(in_col) : 'end' == in_anchor ? _x(in_col) + cw / 2 : _x(in_col) - cw / 2);
+      out.push(_svg_tag('text', { x : x, y : _y(in_row) + font_size * 0.35, 'text-anchor' : in_anchor || 'start' }, _svg_escape(in_str)));
+    }
+
+    function _line(x1, y1, x2, y2, in_attrs) {
+      var attrs = { x1 : x1, y1 : y1, x2 : x2, y2 : y2 };
+      for (var k in in_attrs) {
+        attrs[k] = in_attrs[k];
+      }
+      out.push(_svg_tag('line', attrs));
+    }
+
+    //icon of a participant kind, 3 rows from in_top centered on in_x
+    function _svg_icon(in_kind, in_x, in_top) {
+      var r = ch * 0.6;
+      var cy = in_top + 1.5 * ch;
+      if ('actor' == in_kind) {
+        out.push(_svg_tag('circle', { cx : in_x, cy : in_top + 0.5 * ch, r : ch * 0.35, 'class' : 'participant' }));
+        out.push(_svg_tag('path', {
+          d : 'M' + in_x + ',' + (in_top + 0.85 * ch) + ' V' + (in_top + 2 * ch)
+            + ' M' + (in_x - cw) + ',' + (in_top + 1.3 * ch) + ' H' + (in_x + cw)
+            + ' M' + (in_x - cw) + ',' + (in_top + 2.9 * ch) + ' L' + in_x + ',' + (in_top + 2 * ch) + ' L' + (in_x + cw) + ',' + (in_top + 2.9 * ch),
+          fill : 'none'
+        }));
+        return;
+      }
+
+      out.push(_svg_tag('circle', { cx : in_x, cy : cy, r : r, 'class' : 'participant' }));
+      if ('boundary' == in_kind) {
+        _line(in_x - r - cw, cy - r, in_x - r - cw, cy + r);
+        _line(in_x - r - cw, cy, in_x - r, cy);
+      }
+      else if ('control' == in_kind) {
+        out.push(_svg_tag('path', { d : 'M' + (in_x + 4) + ',' + (cy - r - 4) + ' L' + in_x + ',' + (cy - r) + ' L' + (in_x + 4) + ',' + (cy - r + 4), fill : 'none' }));
+      }
+      else if ('entity' == in_kind) {
+        _line(in_x - r, cy + r, in_x + r, cy + r);
+      }
+    }
+
+    //header of a participant, in_height rows from in_y1
+    function _svg_header(obj, in_y1, in_height) {
+      var box = meta.boxes[obj];
+      var label = meta.labels[obj];
+      var kind = meta.kinds[obj];
+      var lines = label.split('\\n');
+      var x1 = _x(box.x1);
+      var x2 = _x(box.x1 + _header_width(kind, label) - 1);
+      var top = _y(in_y1);
+      var bottom = _y(in_y1 + in_height - 1);
+      var row = in_y1 + _label_row(kind, label, in_height);
+      var x = _x(meta.lines[obj].x_offset);
+
+      if (_icons[kind]) {
+        _svg_icon(kind, x, _y(row - _icon_height));
+      }
+      else if ('database' == kind) {
+        var ry = ch / 2;
+        var rx = (x2 - x1) / 2;
+        var arc = ' A' + rx + ',' + ry + ' 0 0 ';
+        out.push(_svg_tag('path', {
+          d : 'M' + x1 + ',' + (top + ry) + arc + '1 ' + x2 + ',' + (top + ry) + ' V' + (bottom - ry) + arc + '1 ' + x1 + ',' + (bottom - ry) + ' Z'
+            + ' M' + x1 + ',' + (top + ry) + arc + '0 ' + x2 + ',' + (top + ry),
+          'class' : 'participant'
+        }));
+      }
+      else {
+        var attrs = { x : x1, y : top, width : x2 - x1, height : bottom - top, 'class' : 'participant' };
+        if ('queue' == kind) {
+          attrs.rx = ch / 2;
+        }
+        out.push(_svg_tag('rect', attrs));
+      }
+      for (var j = 0; j < lines.length; ++j) {
+        _text(util.trim(lines[j]), meta.lines[obj].x_offset, row + j, 'middle');
+      }
+    }
+
+    //participant groups behind everything else, the label in their top row
+    for (var i = 0; i < meta.groups.length; ++i) {
+      var group = meta.groups[i];
+      if (null == group.meta.first) {
+        continue;
+      }
+      out.push(_svg_tag('rect', {
+        x : _x(group.meta.x1), y : _y(group.meta.y1) - ch / 2, width : (group.meta.x2 - group.meta.x1) * cw, height : (group.meta.y2 - group.meta.y1 + 0.5) * ch, 'class' : 'group'
+      }));
+      _text(group.attr.label, group.meta.x1 + 2, group.meta.y1, 'start');
+    }
+
+    //title, header, legend and footer, placed like in the text image
+    for (var kind in meta.captions) {
+      var ast = meta.captions[kind];
+      if (null == ast) {
+        continue;
+      }
+      var lines = _caption_lines(ast);
+      var width = _caption_width(ast);
+      var x1 = meta.min_x + _caption_x(meta, ast);
+      var row = ast.meta.y1;
+      if ('legend' == kind) {
+        out.push(_svg_tag('rect', { x : _x(x1), y : _y(row), width : (width - 1) * cw, height : (lines.length + 1) * ch, 'class' : 'participant' }));
+        for (var j = 0; j < lines.length; ++j) {
+          _text(lines[j], x1 + 2, row + 1 + j, 'start');
+        }
+        continue;
+      }
+      for (var j = 0; j < lines.length; ++j) {
+        if ('left' == ast.attr.align) {
+          _text(lines[j], x1, row + j, 'start');
+        }
+        else if ('right' == ast.attr.align) {
+          _text(lines[j], x1 + width - 1, row + j, 'end');
+        }
+        else {
+          _text(lines[j], x1 + (width - 1) / 2, row + j, 'middle');
         }
-        else if ('left' == side) {
-          _draw_cpoints(ccanvas, meta.lines[obj].x_offset - 1 - _note_width(content) - meta.min_x, ast.meta.y1, cnote);
+      }
+    }
+
+    //participant boxes and lifelines, those still alive run into their foot box
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var obj = meta.objs[i];
+      var box = meta.boxes[obj];
+      var kind = meta.kinds[obj];
+      var x = _x(meta.lines[obj].x_offset);
+      var end = _y(meta.lines[obj].y2);
+      var alive = (null == meta.destructions[obj]);
+
+      //dashed, dotted where a delay breaks it
+      var from = _y(box.y1 + box.height - 1) + (_icons[kind] ? ch / 2 : 0);
+      var to = (alive && null != meta.footbox_y ? _y(meta.footbox_y) : end);
+      for (var j = 0; j < meta.statements.length; ++j) {
+        var ast = meta.statements[j];
+        if ('delay_statement' == ast.type && ast.meta.y1 + 1 >= meta.lines[obj].y1 && ast.meta.y2 - 1 <= meta.lines[obj].y2) {
+          var dots = ast.meta.y1 * ch + ch;
+          _line(x, from, x, dots, { 'class' : 'lifeline' });
+          from = _y(ast.meta.y2 - 1) + ch / 2;
+          _line(x, dots, x, from, { 'class' : 'delay' });
         }
       }
+      _line(x, from, x, to, { 'class' : 'lifeline' });
+      if (!alive) {
+        out.push(_svg_tag('path', { d : 'M' + (x - cw / 2) + ',' + (end - cw / 2) + ' l' + cw + ',' + cw + ' m0,' + (-cw) + ' l' + (-cw) + ',' + cw, 'class' : 'destroy' }));
+      }
+      _svg_header(obj, box.y1, box.height);
+      if (alive && null != meta.footbox_y) {
+        _svg_header(obj, meta.footbox_y, meta.header_height);
+      }
     }
 
-    return ccanvas;
+    //activation boxes
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var obj = meta.objs[i];
+      var activations = meta.activations[obj].slice().sort(function(a, b) { return a.level - b.level; });
+      for (var j = 0; j < activations.length; ++j) {
+        var activation = activations[j];
+        var x1 = _x(meta.lines[obj].x_offset - 1 + 2 * activation.level);
+        out.push(_svg_tag('rect', { x : x1, y : _y(activation.y1), width : 2 * cw, height : _y(activation.y2) - _y(activation.y1), 'class' : 'activation' }));
+      }
+    }
+
+    //combined fragments: frame, label tab in the top row and dashed "else" dividers
+    for (var i = 0; i < meta.fragments.length; ++i) {
+      var ast = meta.fragments[i];
+      var top = ast.meta.dividers[0] * ch + ch / 4;
+      var x1 = _x(ast.meta.x1);
+      var x2 = _x(ast.meta.x2);
+      out.push(_svg_tag('rect', { x : x1, y : top, width : x2 - x1, height : _y(ast.meta.bottom) - top, 'class' : 'fragment' }));
+
+      var tab = x1 + (ast.attr.kind.length + 2) * cw;
+      out.push(_svg_tag('path', { d : 'M' + x1 + ',' + (top + ch) + ' H' + (tab - cw / 2) + ' L' + tab + ',' + (top + ch / 2) + ' V' + top, 'class' : 'fragment' }));
+      _text(ast.attr.kind, ast.meta.x1 + 1, ast.meta.dividers[0] + 0.25, 'start');
+
+      for (var j = 0; j < ast.children.length; ++j) {
+        var guard = _fragment_label(ast, j);
+        if (0 == j) {
+          guard = guard.substring(ast.attr.kind.length + 1);
+        }
+        else {
+          _line(x1, _y(ast.meta.dividers[j]) - ch / 2, x2, _y(ast.meta.dividers[j]) - ch / 2, { 'class' : 'divider' });
+        }
+        _text(guard, ast.meta.x1 + (0 == j ? ast.attr.kind.length + 3 : 1), ast.meta.dividers[j] + (0 == j ? 0.25 : 0), 'start');
+      }
+    }
+
+    //messages and notes
+    for (var i = 0; i < meta.statements.length; ++i) {
+      var ast = meta.statements[i];
+      if ('message_statement' == ast.type) {
+        var geometry = _message_geometry(meta, ast);
+        var lines = ast.meta.text.split('\\n');
+        var arrow = ast.attr.arrow;
+        var attrs = { 'class' : ('reply' == arrow ? 'message reply' : 'message') };
+        attrs['marker-end'] = 'url(#' + ('async' == arrow ? 'async' : 'lost' == arrow ? 'lost' : 'arrow') + ')';
+        if ('bidirectional' == arrow) {
+          attrs['marker-start'] = 'url(#arrow)';
+        }
+
+        for (var j = 0; j < lines.length; ++j) {
+          var line = util.trim(lines[j]);
+          var indent = lines[j].length - lines[j].replace(/^\s+/, '').length;
+          if (geometry.text_left || geometry.is_self) {
+            _text(line, geometry.left_x + 2 + indent, ast.meta.y1 + 1 + j, 'start');
+          }
+          else if (null != ast.meta.number) {
+            //numbered labels are padded, they line up on the left
+            _text(line, geometry.right_x - 1 - lines[j].length + indent, ast.meta.y1 + 1 + j, 'start');
+          }
+          else {
+            _text(line, geometry.right_x - 2, ast.meta.y1 + 1 + j, 'end');
+          }
+        }
+
+        var y = _y(geometry.arrow_row);
+        if (geometry.is_self) {
+          var x = _x(geometry.left_x);
+          var turn = _x(geometry.left_x + 1 + _msg_width(ast.meta.text) - 2);
+          attrs.d = 'M' + x + ',' + y + ' H' + turn + ' V' + (y + 2 * ch) + ' H' + x;
+          attrs.fill = 'none';
+          out.push(_svg_tag('path', attrs));
+        }
+        else {
+          var from = _x(geometry.left_to_right ? geometry.left_x : geometry.right_x);
+          var to = _x(geometry.left_to_right ? geometry.right_x : geometry.left_x);
+          _line(from, y, to, y, attrs);
+        }
+      }
+      else if ('divider_statement' == ast.type) {
+        //double rule across the canvas, the title in a box on top of it
+        var y = _y(ast.meta.y1 + 1);
+        _line(0, y - 2, cols * cw, y - 2, { 'class' : 'section' });
+        _line(0, y + 2, cols * cw, y + 2, { 'class' : 'section' });
+        if ('' != ast.attr.text) {
+          var x = (meta.min_x + meta.max_x - 1) / 2;
+          var half = (ast.attr.text.length + 2) * cw / 2;
+          out.push(_svg_tag('rect', { x : _x(x) - half, y : y - ch / 2, width : 2 * half, height : ch, 'class' : 'participant' }));
+          _text(ast.attr.text, x, ast.meta.y1 + 1, 'middle');
+        }
+      }
+      else if ('delay_statement' == ast.type) {
+        if ('' != ast.attr.text) {
+          var x = (meta.min_x + meta.max_x - 1) / 2;
+          var half = (ast.attr.text.length + 2) * cw / 2;
+          out.push(_svg_tag('rect', { x : _x(x) - half, y : _y(ast.meta.y1 + 2) - ch / 2, width : 2 * half, height : ch, 'class' : 'caption' }));
+          _text(ast.attr.text, x, ast.meta.y1 + 2, 'middle');
+        }
+      }
+      else if ('note_statement' == ast.type) {
+        var is_left = ('left' == ast.attr.side);
+        var is_over = ('over' == ast.attr.side);
+        var width = _note_width(ast.meta.text);
+        var note_x = _note_x(meta, ast);
+        if (is_over) {
+          var span = _over_note(meta, ast);
+          width = span.x2 - span.x1 + 1;
+        }
+        var x1 = _x(is_left || is_over ? note_x : note_x + 1);
+        var x2 = x1 + (width - 1) * cw;
+        var y1 = _y(ast.meta.y1);
+        var y2 = _y(ast.meta.y1 + _note_height(ast.meta.text) - 1);
+        var fold = ch / 2;
+
+        out.push(_svg_tag('path', {
+          d : 'M' + x1 + ',' + y1 + ' H' + (x2 - fold) + ' L' + x2 + ',' + (y1 + fold) + ' V' + y2 + ' H' + x1 + ' Z'
+            + ' M' + (x2 - fold) + ',' + y1 + ' V' + (y1 + fold) + ' H' + x2,
+          'class' : 'note'
+        }));
+        if (!is_over) {
+          var link_y = _y(ast.meta.y1 + 1);
+          _line(is_left ? x2 : x1, link_y, is_left ? x2 + 2 * cw : x1 - 2 * cw, link_y, { 'class' : 'link' });
+        }
+
+        var lines = ast.meta.text.split('\\n');
+        for (var j = 0; j < lines.length; ++j) {
+          _text(util.trim(lines[j]), (is_left || is_over ? note_x : note_x + 1) + 2, ast.meta.y1 + 1 + j, 'start');
+        }
+      }
+      else if ('ref_statement' == ast.type) {
+        var span = _over_note(meta, ast);
+        var x1 = _x(span.x1);
+        var x2 = _x(span.x2);
+        var top = _y(ast.meta.y1);
+        var bottom = _y(ast.meta.y1 + _note_height(ast.meta.text) - 1);
+        out.push(_svg_tag('rect', { x : x1, y : top, width : x2 - x1, height : bottom - top, 'class' : 'ref' }));
+
+        var tab = x1 + 5 * cw;
+        out.push(_svg_tag('path', { d : 'M' + x1 + ',' + (top + ch) + ' H' + (tab - cw / 2) + ' L' + tab + ',' + (top + ch / 2) + ' V' + top, 'class' : 'fragment' }));
+        _text('ref', span.x1 + 1, ast.meta.y1 + 0.25, 'start');
+
+        var lines = ast.meta.text.split('\\n');
+        var first = out.length;
+        for (var j = 0; j < lines.length; ++j) {
+          _text(util.trim(lines[j]), (span.x1 + span.x2) / 2, ast.meta.y1 + 1 + j, 'middle');
+        }
+        var link = _safe_link(ast.attr.link);
+        if (null != link) {
+          out.splice(first, 0, '<a href="' + _svg_escape(link) + '">');
+          out.push('</a>');
+        }
+      }
+    }
+
+    var width = cols * cw;
+    var height = ccanvas.length * ch;
+    var style = [
+      'text { font-family: ' + font + '; font-size: ' + font_size + 'px; fill: #000; }',
+      'line, path, rect, circle { stroke: #000; stroke-width: 1; }',
+      '.participant, .activation { fill: #fff; }',
+      '.lifeline { stroke-dasharray: 4 3; }',
+      '.delay { stroke-dasharray: 1 3; }',
+      '.caption { fill: #fff; stroke: none; }',
+      '.destroy { stroke-width: 2; }',
+      '.reply, .divider { stroke-dasharray: 5 3; }',
+      '.note { fill: #ffffe0; }',
+      '.group { fill: #f4f6fa; }',
+      '.ref { fill: #fff; }',
+      '.fragment { fill: none; }'
+    ].join(' ');
+    var defs = [
+      '<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 Z" fill="#000"/></marker>',
+      '<marker id="async" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M0,0 L10,5 L0,10" fill="none" stroke="#000"/></marker>',
+      '<marker id="lost" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M0,0 L10,10 M0,10 L10,0" stroke="#000"/></marker>'
+    ].join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+      + '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">\n'
+      + '<style>' + style + '</style>\n'
+      + '<defs>' + defs + '</defs>\n'
+      + _svg_tag('rect', { width : width, height : height, fill : '#fff', stroke : 'none' }) + '\n'
+      + out.join('\n') + '\n'
+      + '</svg>\n';
+  }
+
+  //columns between which the arrow of a message is drawn, arrows end at the edges of activation boxes
+  function _message_geometry(in_meta, ast) {
+    var s = ast.attr.sender;
+    var r = ast.attr.receiver;
+    var left_obj = ast.meta.left_obj;
+    var right_obj = ast.meta.right_obj;
+    var arrow_row = _arrow_row(ast);
+    var geometry = {
+      arrow_row : arrow_row,
+      left_x : in_meta.lines[left_obj].x_offset + _edges_at(in_meta, left_obj, arrow_row).right,
+      right_x : in_meta.lines[right_obj].x_offset - _edges_at(in_meta, right_obj, arrow_row).left,
+      left_to_right : (ast.meta.sender_index <= ast.meta.receiver_index),
+      is_self : (s == r)
+    };
+    geometry.text_left = geometry.left_to_right; //the text is at the tail of the arrow
+
+    //from or to outside: the arrow runs to the edge of the canvas, the text is at that edge
+    if ('left' == ast.meta.edge) {
+      geometry.left_x = in_meta.min_x - 1;
+      geometry.text_left = true;
+    }
+    else if ('right' == ast.meta.edge) {
+      geometry.right_x = in_meta.max_x;
+      geometry.text_left = false;
+    }
+
+    //a creating arrow ends at the box
+    if (ast.meta.creates) {
+      if (geometry.left_to_right) {
+        geometry.right_x = in_meta.boxes[r].x1;
+      }
+      else {
+        geometry.left_x = in_meta.boxes[r].x2 - 1;
+      }
+    }
+    return geometry;
+  }
+
+  //columns [x1, x2] of a note over, centered between its outermost lifelines and covering them
+  function _over_note(in_meta, ast) {
+    var left = in_meta.lines[ast.meta.left_obj].x_offset;
+    var right = in_meta.lines[ast.meta.right_obj].x_offset;
+    var width = Math.max(_note_width(ast), right - left + 5);
+    var x1 = left + Math.floor((right - left + 1 - width) / 2);
+    return { x1 : x1, x2 : x1 + width - 1 };
+  }
+
+  //column of the image of a note, association line included
+  function _note_x(in_meta, ast) {
+    if ('over' == ast.attr.side) {
+      return _over_note(in_meta, ast).x1;
+    }
+    var obj = ast.attr.object;
+    var edges = _edges_at(in_meta, obj, ast.meta.y1 + 1);
+    if ('left' == ast.attr.side) {
+      return in_meta.lines[obj].x_offset - edges.left - 1 - _note_width(ast.meta.text);
+    }
+    return in_meta.lines[obj].x_offset + edges.right + 1;
   }
 
   function _draw_cpoints(in_canvas, in_x_offset, in_y_offset, in_cpoints) {
     for (var i in in_cpoints) {
       var p = in_cpoints[i];
       //console.log("x: " + (in_x_offset + p.x) + ", y: " + (in_y_offset + p.y));
-      in_canvas[in_y_offset+p.y][in_x_offset+p.x] = { c : p.c, z : p.z };
+      in_canvas[in_y_offset+p.y][in_x_offset+p.x] = { c : p.c, z : p.z, link : p.link };
     }
   }
 
+  //a ref is at least wide enough for its label
   function _note_width(msg) {
-    var content = ('string' == typeof(msg) ? msg : msg.attr.content);
+    var content = ('string' == typeof(msg) ? msg : msg.meta.text);
+    var min = ('string' != typeof(msg) && 'ref_statement' == msg.type ? 7 : 0);
     var lines = content.split('\\n');
     var max = 0;
     for (var i = 0; i < lines.length; ++i) {
@@ -368,61 +1777,158 @@ var html_render = (function() {
             max = lines[i].trim().length;
         }
     }
-    return max + 4;
+    return Math.max(max + 4, min);
   }
 
   function _note_height(msg) {
-      var content = ('string' == typeof(msg) ? msg : msg.attr.content);
+      var content = ('string' == typeof(msg) ? msg : msg.meta.text);
       var lines = content.split('\\n');
       return lines.length + 2;
   }
 
+  //break lines at spaces so that none is longer than in_width, 0 keeps the text as it is
+  function _wrap(in_text, in_width) {
+    if (!(in_width > 0)) {
+      return in_text;
+    }
+
+    var lines = [];
+    var paragraphs = in_text.split('\\n');
+    for (var i = 0; i < paragraphs.length; ++i) {
+      var words = paragraphs[i].split(' ');
+      var line = '';
+      for (var j = 0; j < words.length; ++j) {
+        if ('' == words[j]) {
+          continue;
+        }
+        if ('' != line && line.length + 1 + words[j].length > in_width) {
+          lines.push(line);
+          line = words[j];
+        }
+        else {
+          line = ('' == line ? words[j] : line + ' ' + words[j]);
+        }
+      }
+      lines.push(line);
+    }
+    return lines.join('\\n');
+  }
+
+  //number before the first line, the others indented to line up with its text and
+  //padded to the same length, so that right aligned labels line up as well
+  function _numbered(in_text, in_number) {
+    var prefix = in_number + ' ';
+    var indent = new Array(prefix.length + 1).join(' ');
+    var lines = in_text.split('\\n');
+    var width = 0;
+    for (var i = 0; i < lines.length; ++i) {
+      lines[i] = (0 == i ? prefix : indent) + util.trim(lines[i]);
+      width = Math.max(width, lines[i].length);
+    }
+    for (var i = 0; i < lines.length; ++i) {
+      lines[i] += new Array(width - lines[i].length + 1).join(' ');
+    }
+    return lines.join('\\n');
+  }
+
+  //label of a fragment section: "alt [cond]" on the top border, "[cond]" on an "else" divider
+  function _fragment_label(ast, in_section) {
+    var condition = ast.attr.conditions[in_section];
+    var guard = ('' == condition ? '' : '[' + condition + ']');
+    if (0 == in_section) {
+      return ast.attr.kind + ('' == guard ? '' : ' ' + guard);
+    }
+    return ('' == guard ? '[else]' : guard);
+  }
+
+  //odd, so that the lifeline starts right in the middle of the box
   function _box_width(msg) {
-    return msg.length % 2 ? msg.length + 4 : msg.length + 5;
+    var lines = msg.split('\\n');
+    var max = 0;
+    for (var i = 0; i < lines.length; ++i) {
+      max = Math.max(max, util.trim(lines[i]).length);
+    }
+    return max % 2 ? max + 4 : max + 5;
+  }
+
+  function _box_height(msg) {
+    return msg.split('\\n').length + 2;
+  }
+
+  //icons only need room for the name, odd as well
+  function _header_width(in_kind, in_label) {
+    if (_icons[in_kind]) {
+      return Math.max(_icon_width, _box_width(in_label) - 2);
+    }
+    return _box_width(in_label);
+  }
+
+  function _header_height(in_kind, in_label) {
+    if (_icons[in_kind]) {
+      return _icon_height + in_label.split('\\n').length;
+    }
+    //a database has a lid
+    return _box_height(in_label) + ('database' == in_kind ? 1 : 0);
+  }
+
+  //first row of the name in a header in_height tall
+  function _label_row(in_kind, in_label, in_height) {
+    var lines = in_label.split('\\n').length;
+    if (_icons[in_kind]) {
+      return in_height - lines;
+    }
+    var top = ('database' == in_kind ? 2 : 1);
+    return top + Math.floor((in_height - 1 - top - lines) / 2);
   }
 
+  //leading spaces count, they line up numbered labels
   function _msg_width(msg) {
     var lines = msg.split('\\n');
     var max = 0;
     for (var i = 0; i < lines.length; ++i) {
-        if (lines[i].length > max) {
-            max = lines[i].trim().length;
-        }
+      max = Math.max(max, lines[i].replace(/\s+$/, '').length);
     }
     return max + 2;
   }
 
-  // create image for note
-  function _cnote(msg, is_left) {
+  // create image for note, a note over has no association line and is in_width wide
+  function _cnote(msg, in_side, g, in_width) {
     var i;
-    var x = _note_width(msg);
+    var x = Math.max(_note_width(msg), in_width || 0);
     var y = _note_height(msg);
+    var xoffset;
 
     var out_cimage = [];
 
         //association line
-        if (is_left) {
-            out_cimage.push(_cpoint('-', x, 1, 0));
+        if ('over' == in_side) {
+            xoffset = 0;
+        }
+        else if ('left' == in_side) {
+            out_cimage.push(_cpoint(g.note_link, x, 1, 0));
             xoffset = 0;
         }
         else {
-            out_cimage.push(_cpoint('-', 0, 1, 0));
+            out_cimage.push(_cpoint(g.note_link, 0, 1, 0));
             xoffset = 1;
         }
 
     //up and bottom line
     for (i = 0; i <= x - 1; ++i) {
-      out_cimage.push(_cpoint('-', xoffset + i, 0, 0));
-      out_cimage.push(_cpoint('-', xoffset + i , y - 1, 0));
+      out_cimage.push(_cpoint(g.note_horizontal, xoffset + i, 0, 0));
+      out_cimage.push(_cpoint(g.note_horizontal, xoffset + i , y - 1, 0));
     }
 
-    out_cimage.push(_cpoint('\\', xoffset + x - 1, 0, 0));
+    out_cimage.push(_cpoint(g.note_top_left, xoffset, 0, 0));
+    out_cimage.push(_cpoint(g.note_top_right, xoffset + x - 1, 0, 0));
 
     //left and right line
-    for (i = 0; i < y - 1; ++i) {
-        out_cimage.push(_cpoint('|', xoffset + 0, i + 1, 0));
-        out_cimage.push(_cpoint('|', xoffset + x - 1, i + 1, 0));
+    for (i = 0; i < y - 2; ++i) {
+        out_cimage.push(_cpoint(g.note_vertical, xoffset + 0, i + 1, 0));
+        out_cimage.push(_cpoint(g.note_vertical, xoffset + x - 1, i + 1, 0));
     }
+    out_cimage.push(_cpoint(g.note_bottom_left, xoffset, y - 1, 0));
+    out_cimage.push(_cpoint(g.note_bottom_right, xoffset + x - 1, y - 1, 0));
 
     //content
     var lines = msg.split('\\n');
@@ -441,16 +1947,98 @@ var html_render = (function() {
     return out_cimage;
   }
 
-  function _cmessage(message, line_len, leftToRight, isSelfMessage) {
-    var cpoints = [];
+  /*
+  +-ref--------+
+  | Login flow |
+  +------------+
+  in_width wide, the text centered and linked to in_link unless it's null
+  */
+  function _cref(msg, in_width, in_link, g) {
+    var i;
+    var x = in_width;
+    var y = _note_height(msg);
+    var label = 'ref';
 
-    var lines = message.split('\\n');
-    var t_length = 0;
-    for(var idx = 0; idx < lines.length; idx++) {
-      if(lines[idx].length > t_length) {
-        t_length = lines[idx].trim().length;
+    var out_cimage = [];
+
+    for (i = 1; i < x - 1; ++i) {
+      out_cimage.push(_cpoint(g.horizontal, i, 0, 0));
+      out_cimage.push(_cpoint(g.horizontal, i, y - 1, 0));
+    }
+    for (i = 0; i < label.length; ++i) {
+      out_cimage.push(_cpoint(label.charAt(i), 2 + i, 0, 0));
+    }
+    out_cimage.push(_cpoint(g.top_left, 0, 0, 0));
+    out_cimage.push(_cpoint(g.top_right, x - 1, 0, 0));
+    out_cimage.push(_cpoint(g.bottom_left, 0, y - 1, 0));
+    out_cimage.push(_cpoint(g.bottom_right, x - 1, y - 1, 0));
+
+    //content, the frame covers the lifelines behind it
+    var lines = msg.split('\\n');
+    for (var idx = 0; idx < lines.length; ++idx) {
+      var line = util.trim(lines[idx]);
+      var x1 = Math.floor((x - line.length) / 2);
+
+      out_cimage.push(_cpoint(g.vertical, 0, idx + 1, 0));
+      out_cimage.push(_cpoint(g.vertical, x - 1, idx + 1, 0));
+      for (i = 1; i < x - 1; ++i) {
+        var p = _cpoint(' ', i, idx + 1, 0);
+        if (i >= x1 && i < x1 + line.length) {
+          p.c = line.charAt(i - x1);
+          if (null != in_link) {
+            p.link = in_link;
+          }
+        }
+        out_cimage.push(p);
+      }
+    }
+
+    return out_cimage;
+  }
+
+  //arrow head of each message kind
+  function _arrow_head(in_arrow, in_left_to_right, g) {
+    if ('async' == in_arrow) {
+      return in_left_to_right ? g.async_right : g.async_left;
+    }
+    if ('lost' == in_arrow) {
+      return g.lost;
+    }
+    return in_left_to_right ? g.head_right : g.head_left;
+  }
+
+  //one row of in_len glyphs: the shaft of the arrow (dashed for replies) ending with its head
+  function _arrow_line(in_arrow, in_len, in_left_to_right, g) {
+    var chars = [];
+    for (var i = 0; i < in_len; ++i) {
+      var d = (in_left_to_right ? in_len - 1 - i : i); //distance to the head
+      var is_tail = (in_left_to_right ? 0 == i : in_len - 1 == i);
+      if ('reply' == in_arrow) {
+        chars.push(d > 0 && !is_tail && 0 == d % 2 ? g.dash_gap : g.dashed_shaft);
       }
+      else {
+        chars.push(g.shaft);
+      }
+    }
+
+    var head = _arrow_head(in_arrow, in_left_to_right, g);
+    var head_offset = (in_left_to_right ? in_len - head.length : 0);
+    for (var i = 0; i < head.length; ++i) {
+      chars[head_offset + i] = head.charAt(i);
     }
+    if ('bidirectional' == in_arrow) {
+      chars[in_left_to_right ? 0 : in_len - 1] = (in_left_to_right ? g.head_left : g.head_right);
+    }
+
+    return chars;
+  }
+
+  //in_text_left: the text at the left end of the arrow rather than right-aligned at its right end
+  function _cmessage(message, arrow, line_len, leftToRight, isSelfMessage, g, in_text_left) {
+    var cpoints = [];
+
+    var lines = message.split('\\n');
+    var t_length = _msg_width(message) - 2;
 
     if (isSelfMessage) {
       line_len = t_length;
@@ -462,105 +2050,337 @@ var html_render = (function() {
         }
       }
 
-      //upper line
-      for (var i = 0; i < line_len + 1; ++i) {
-        cpoints.push(_cpoint('-', i, 1 + lines.length, 0));
+      //upper line, the tail of the arrow
+      for (var i = 0; i < line_len; ++i) {
+        var c = ('reply' == arrow ? (1 == i % 2 ? g.dash_gap : g.dashed_shaft) : g.shaft);
+        if ('bidirectional' == arrow && 0 == i) {
+          c = g.head_left;
+        }
+        cpoints.push(_cpoint(c, i, 1 + lines.length, 0));
       }
+      cpoints.push(_cpoint(g.self_top_right, line_len, 1 + lines.length, 0));
 
       //bar
-      cpoints.push(_cpoint('|', line_len, 2 + lines.length, 0));
+      cpoints.push(_cpoint(g.self_vertical, line_len, 2 + lines.length, 0));
 
       //lower line
-      cpoints.push(_cpoint('<', 0, 3 + lines.length, 0));
-      for (var i = 1; i < line_len + 1; ++i) {
-        cpoints.push(_cpoint('-', i, 3 + lines.length, 0));
+      var lower = _arrow_line('bidirectional' == arrow ? 'sync' : arrow, line_len + 1, false, g);
+      lower[line_len] = g.self_bottom_right;
+      for (var i = 0; i < line_len + 1; ++i) {
+        cpoints.push(_cpoint(lower[i], i, 3 + lines.length, 0));
       }
     }
-    else if (leftToRight) {
+    else {
       //message
       for(var idx = 0; idx < lines.length; idx++) {
         for (var i = 0; i < lines[idx].length; ++i) {
-          cpoints.push(_cpoint(lines[idx].charAt(i), 1 + i, 1 + idx, 0));
+          if (in_text_left) {
+            cpoints.push(_cpoint(lines[idx].charAt(i), 1 + i, 1 + idx, 0));
+          }
+          else {
+            cpoints.push(_cpoint(lines[idx].charAt(lines[idx].length - 1 - i), line_len - 1 - i - 1, 1 + idx, 0));
+          }
         }
       }
 
       //arrow
-      for (var i = 0; i < line_len - 1; ++i) {
-        cpoints.push(_cpoint('-', i, 1 + lines.length, 0));
+      var line = _arrow_line(arrow, line_len, leftToRight, g);
+      for (var i = 0; i < line_len; ++i) {
+        cpoints.push(_cpoint(line[i], i, 1 + lines.length, 0));
       }
-      cpoints.push(_cpoint('>', line_len - 1, 1 + lines.length, 0));
     }
-    else {
-      //message
-      for(var idx = 0; idx < lines.length; idx++) {
-        for (var i = 0; i < lines[idx].length; ++i) {
-          cpoints.push(_cpoint(lines[idx].charAt(lines[idx].length - 1 - i), line_len - 1 - i - 1, 1 + idx, 0));
-        }
+
+    return cpoints;
+  }
+
+  /*
+  +-Backend-------+
+  |               |
+  +---------------+
+  */
+  function _cgroup(ast, g) {
+    var cpoints = [];
+    var width = ast.meta.x2 - ast.meta.x1 + 1;
+    var height = ast.meta.y2 - ast.meta.y1 + 1;
+    var label = ast.attr.label;
+
+    for (var i = 1; i < width - 1; ++i) {
+      var c = (i >= 2 && i < 2 + label.length ? label.charAt(i - 2) : g.horizontal);
+      cpoints.push(_cpoint(c, i, 0, 0));
+      cpoints.push(_cpoint(g.horizontal, i, height - 1, 0));
+    }
+    for (var j = 1; j < height - 1; ++j) {
+      cpoints.push(_cpoint(g.vertical, 0, j, 0));
+      cpoints.push(_cpoint(g.vertical, width - 1, j, 0));
+    }
+    cpoints.push(_cpoint(g.top_left, 0, 0, 0));
+    cpoints.push(_cpoint(g.top_right, width - 1, 0, 0));
+    cpoints.push(_cpoint(g.bottom_left, 0, height - 1, 0));
+    cpoints.push(_cpoint(g.bottom_right, width - 1, height - 1, 0));
+    return cpoints;
+  }
+
+  /*
+  +--------------+
+  | legend lines |
+  +--------------+
+  the other captions are lines aligned with each other like the caption on the canvas
+  */
+  function _ccaption(ast, g) {
+    var cpoints = [];
+    var lines = _caption_lines(ast);
+    var width = _caption_width(ast);
+    var is_legend = ('legend' == ast.attr.kind);
+
+    if (is_legend) {
+      var height = lines.length + 2;
+      for (var i = 1; i < width - 1; ++i) {
+        cpoints.push(_cpoint(g.horizontal, i, 0, 0));
+        cpoints.push(_cpoint(g.horizontal, i, height - 1, 0));
+      }
+      for (var j = 1; j < height - 1; ++j) {
+        cpoints.push(_cpoint(g.vertical, 0, j, 0));
+        cpoints.push(_cpoint(g.vertical, width - 1, j, 0));
       }
+      cpoints.push(_cpoint(g.top_left, 0, 0, 0));
+      cpoints.push(_cpoint(g.top_right, width - 1, 0, 0));
+      cpoints.push(_cpoint(g.bottom_left, 0, height - 1, 0));
+      cpoints.push(_cpoint(g.bottom_right, width - 1, height - 1, 0));
+    }
 
-      //arrow
-      cpoints.push(_cpoint('<', 0, 1 + lines.length, 0));
-      for (var i = 1; i < line_len; ++i) {
-        cpoints.push(_cpoint('-', i, 1 + lines.length, 0));
+    for (var j = 0; j < lines.length; ++j) {
+      var room = width - lines[j].length;
+      var x = (is_legend ? 2 : 'left' == ast.attr.align ? 0 : 'right' == ast.attr.align ? room : Math.floor(room / 2));
+      for (var i = 0; i < lines[j].length; ++i) {
+        cpoints.push(_cpoint(lines[j].charAt(i), x + i, j + (is_legend ? 1 : 0), 0));
       }
     }
+    return cpoints;
+  }
 
+  /*
+  ====== Handshake ======
+  in_text centered in a row in_width wide, the rest filled with in_fill unless it's null
+  */
+  function _cbanner(in_text, in_width, in_fill) {
+    var cpoints = [];
+    var text = ('' == in_text ? '' : ' ' + in_text + ' ');
+    var x1 = Math.floor((in_width - text.length) / 2);
+    for (var i = 0; i < in_width; ++i) {
+      if (i >= x1 && i < x1 + text.length) {
+        cpoints.push(_cpoint(text.charAt(i - x1), i, 0, 0));
+      }
+      else if (null != in_fill) {
+        cpoints.push(_cpoint(in_fill, i, 0, 0));
+      }
+    }
     return cpoints;
   }
 
+  /*
+  +-alt [ok]------+
+  |               |
+  |--[else]-------|
+  |               |
+  +---------------+
+  */
+  function _cframe(ast, g) {
+    var i;
+    var x = ast.meta.x2 - ast.meta.x1 + 1;
+    var y0 = ast.meta.dividers[0];
+    var y = ast.meta.bottom - y0 + 1;
+
+    var out_cimage = [];
+
+    //left and right line
+    for (i = 1; i < y - 1; ++i) {
+      out_cimage.push(_cpoint(g.vertical, 0, i, 0));
+      out_cimage.push(_cpoint(g.vertical, x - 1, i, 0));
+    }
+
+    //top border, dividers and bottom border
+    var rows = ast.meta.dividers.concat([ ast.meta.bottom ]);
+    for (var idx = 0; idx < rows.length; ++idx) {
+      var row = rows[idx] - y0;
+      var left = g.divider_left;
+      var right = g.divider_right;
+      if (0 == idx) {
+        left = g.top_left;
+        right = g.top_right;
+      }
+      else if (rows.length - 1 == idx) {
+        left = g.bottom_left;
+        right = g.bottom_right;
+      }
+      for (i = 1; i < x - 1; ++i) {
+        out_cimage.push(_cpoint(g.horizontal, i, row, 0));
+      }
+      out_cimage.push(_cpoint(left, 0, row, 0));
+      out_cimage.push(_cpoint(right, x - 1, row, 0));
+
+      if (idx < ast.children.length) {
+        var label = _fragment_label(ast, idx);
+        for (i = 0; i < label.length; ++i) {
+          out_cimage.push(_cpoint(label.charAt(i), 2 + i, row, 0));
+        }
+      }
+    }
+
+    return out_cimage;
+  }
+
   /*
   +------+
   | Todd |
   +------+
   */
-  function _cbox(obj) {
+  /*
+  +-------+    _____     .-------.     O
+  | Label |   (_____)    ( Label )    /|\
+  +-------+   | Label |  '-------'    / \
+              (_____)                Label
+  */
+  function _cheader(in_kind, in_label, in_height, g) {
+    if (_icons[in_kind]) {
+      return _cicon(in_kind, in_label, in_height, g);
+    }
+    if ('database' == in_kind) {
+      return _cbox(in_label, in_height, g, {
+        top_left : g.db_top_left, top : g.db_top, top_right : g.db_top_right, left : g.vertical, right : g.vertical,
+        bottom_left : g.db_bottom_left, bottom : g.db_bottom, bottom_right : g.db_bottom_right,
+        rim_left : g.db_rim_left, rim : g.db_rim, rim_right : g.db_rim_right
+      }, 'database');
+    }
+    if ('queue' == in_kind) {
+      return _cbox(in_label, in_height, g, {
+        top_left : g.queue_top_left, top : g.horizontal, top_right : g.queue_top_right, left : g.queue_left, right : g.queue_right,
+        bottom_left : g.queue_bottom_left, bottom : g.horizontal, bottom_right : g.queue_bottom_right
+      }, 'queue');
+    }
+    return _cbox(in_label, in_height, g);
+  }
+
+  //icon centered above the name, both at the bottom of the header, a theme icon taller than _icon_height keeps its last rows
+  function _cicon(in_kind, in_label, in_height, g) {
+    var icon = g[in_kind + '_icon'];
+    var x = _header_width(in_kind, in_label);
+    var label_row = _label_row(in_kind, in_label, in_height);
+
+    var out_cimage = [];
+    for (var j = Math.max(0, icon.length - _icon_height); j < icon.length; ++j) {
+      var x_offset = (x - icon[j].length) / 2;
+      for (var i = 0; i < icon[j].length; ++i) {
+        if (' ' != icon[j].charAt(i)) {
+          out_cimage.push(_cpoint(icon[j].charAt(i), x_offset + i, label_row - icon.length + j, 0));
+        }
+      }
+    }
+
+    var lines = in_label.split('\\n');
+    for (var j = 0; j < lines.length; ++j) {
+      var line = util.trim(lines[j]);
+      var x_offset = Math.floor((x - line.length) / 2);
+      for (var i = 0; i < line.length; ++i) {
+        out_cimage.push(_cpoint(line.charAt(i), x_offset + i, label_row + j, 0));
+      }
+    }
+    return out_cimage;
+  }
+
+  //in_frame: glyphs of the frame instead of the box ones, a rim draws the lid of a database
+  function _cbox(obj, in_height, g, in_frame, in_kind) {
     var i;
-    var x = obj.length % 2 ? obj.length + 4 : obj.length + 5;
-    var y = 3;
+    var x = _box_width(obj);
+    var y = in_height;
+    var f = in_frame || {
+      top_left : g.top_left, top : g.horizontal, top_right : g.top_right, left : g.vertical, right : g.vertical,
+      bottom_left : g.bottom_left, bottom : g.horizontal, bottom_right : g.bottom_right
+    };
 
     var out_cimage = [];
 
     //up and bottom line
-    out_cimage.push(_cpoint('+', 0, 0, 0));
-    out_cimage.push(_cpoint('+', x - 1, 0, 0));
-    out_cimage.push(_cpoint('+', 0, 2, 0));
-    out_cimage.push(_cpoint('+', x - 1, 2, 0));
+    out_cimage.push(_cpoint(f.top_left, 0, 0, 0));
+    out_cimage.push(_cpoint(f.top_right, x - 1, 0, 0));
+    out_cimage.push(_cpoint(f.bottom_left, 0, y - 1, 0));
+    out_cimage.push(_cpoint(f.bottom_right, x - 1, y - 1, 0));
     for (i = 1; i < x - 1; ++i) {
-      out_cimage.push(_cpoint('-', i, 0, 0)); //m[0][i] = _cpoint('-', 0);
-      out_cimage.push(_cpoint('-', i , 2, 0)); //m[2][i] = _cpoint('-', 0);
+      out_cimage.push(_cpoint(f.top, i, 0, 0)); //m[0][i] = _cpoint('-', 0);
+      out_cimage.push(_cpoint(f.bottom, i , y - 1, 0)); //m[2][i] = _cpoint('-', 0);
     }
 
     //left and right line
-    out_cimage.push(_cpoint('|', 0, 1, 0));//m[1][0] = _cpoint('|', 0);
-    out_cimage.push(_cpoint('|', x - 1, 1, 0));//m[1][x-1] = _cpoint('|', 0);
+    for (var j = 1; j < y - 1; ++j) {
+      out_cimage.push(_cpoint(f.left, 0, j, 0));//m[1][0] = _cpoint('|', 0);
+      out_cimage.push(_cpoint(f.right, x - 1, j, 0));//m[1][x-1] = _cpoint('|', 0);
+      for (i = 1; i < x-1; ++i) {
+        out_cimage.push(_cpoint(' ', i, j, 0)); //m[1][i] = null;
+      }
+    }
 
-    //name
-    for (i = 1; i < x-1; ++i) {
-      out_cimage.push(_cpoint(' ', i, 1, 0)); //m[1][i] = null;
+    if (f.rim) {
+      out_cimage.push(_cpoint(f.rim_left, 0, 1, 0));
+      out_cimage.push(_cpoint(f.rim_right, x - 1, 1, 0));
+      for (i = 1; i < x - 1; ++i) {
+        out_cimage.push(_cpoint(f.rim, i, 1, 0));
+      }
     }
-    for (i = 2; i < 2 + obj.length; ++i) {
-      out_cimage.push(_cpoint(obj.charAt(i-2), i, 1, 0)); //m[1][i] = _cpoint(obj[i-2], 0);
+
+    //name, each line centered and the whole name in the middle of the box
+    var lines = obj.split('\\n');
+    var y_offset = _label_row(in_kind, obj, y);
+    for (var idx = 0; idx < lines.length; ++idx) {
+      var line = util.trim(lines[idx]);
+      var x_offset = 2 + Math.floor((x - 4 - line.length) / 2);
+      for (i = 0; i < line.length; ++i) {
+        out_cimage.push(_cpoint(line.charAt(i), x_offset + i, y_offset + idx, 0));
+      }
     }
 
     return out_cimage;
   }
 
-  function _lifeline(in_height) {
-    var cline = [];
+  /*
+  +-+
+  | |
+  +-+
+  */
+  function _cactivation(in_height, g) {
+    var out_cimage = [];
     for (var j = 0; j < in_height; ++j) {
-      cline.push(_cpoint('|', 0, j, 0));
+      var left = g.vertical;
+      var right = g.vertical;
+      if (0 == j) {
+        left = g.top_left;
+        right = g.top_right;
+      }
+      else if (in_height - 1 == j) {
+        left = g.bottom_left;
+        right = g.bottom_right;
+      }
+      out_cimage.push(_cpoint(left, 0, j, 0));
+      out_cimage.push(_cpoint(0 == j || in_height - 1 == j ? g.horizontal : ' ', 1, j, 0));
+      out_cimage.push(_cpoint(right, 2, j, 0));
     }
-    return cline;
+    return out_cimage;
   }
 
-  function _object_width(name) {
-    return name.length % 2 ? name.length + 4 : name.length + 5;
+  function _lifeline(in_height, g) {
+    var cline = [];
+    for (var j = 0; j < in_height; ++j) {
+      cline.push(_cpoint(g.lifeline, 0, j, 0));
+    }
+    return cline;
   }
 
 
   return {
     to_html : _to_html,
-    to_cimage : _to_cimage
+    to_text : _to_text,
+    to_svg : _to_svg,
+    to_cimage : _to_cimage,
+    add_meta : _add_meta,
+    themes : _themes
   };
 })();
 
@@ -605,20 +2425,50 @@ var util = (function() {
 
 //program parser
 var parser = (function() {
-  //token constructor
-  function _token(in_type, in_value) {
-    return { type: in_type, value: in_value };
+  //token constructor, in_position is the { line, column } where the token starts
+  function _token(in_type, in_value, in_position) {
+    return { type: in_type, value: in_value, line: in_position.line, column: in_position.column };
+  }
+
+  //1-based line and column of every character in the buffer
+  function _positions(in_buffer) {
+    var positions = [];
+    var line = 1;
+    var column = 1;
+    for (var i = 0; i <= in_buffer.length; ++i) {
+      positions.push({ line : line, column : column });
+
+      var c = in_buffer.charAt(i);
+      if ('\n' == c || ('\r' == c && '\n' != in_buffer.charAt(i + 1))) {
+        ++line;
+        column = 1;
+      }
+      else {
+        ++column;
+      }
+    }
+    return positions;
+  }
+
+  //whether in_idx is between "[[" and "]]" on its line, where "//" is part of a link and not a comment
+  function _in_link(in_buffer, in_idx) {
+    var start = Math.max(in_buffer.lastIndexOf('\n', in_idx), in_buffer.lastIndexOf('\r', in_idx)) + 1;
+    var line = in_buffer.substring(start, in_idx);
+    return line.lastIndexOf('[[') > line.lastIndexOf(']]');
   }
 
   //lexical analysis
   var _lexical_analyze = function(in_buffer) {
+    var positions = _positions(in_buffer);
     in_buffer += ';'; //append ;
+    positions.push(positions[positions.length - 1]);
 
     var r_tokens = [];
     var idx = 0;
     var buffer_length = in_buffer.length;
     var state = 0;
     var tmp_buffer = '';
+    var tmp_start = 0;
 
     var _back = function() {
       tmp_buffer = '';
@@ -629,33 +2479,47 @@ var parser = (function() {
     //state machine
     while (idx < buffer_length) {
       var c = in_buffer.charAt(idx++);
+      var position = positions[idx - 1];
       switch (state) {
         case 0: //initial state
           if (util.is_alpha_digit(c)) {
             tmp_buffer = c;
+            tmp_start = idx - 1;
             state = 1;
           }
-          else if ('/' == c) {
+          else if ('/' == c && !_in_link(in_buffer, idx - 1)) {
+            tmp_start = idx - 1;
             state = 3;
           }
           else if ('-' == c) {
             tmp_buffer = c;
+            tmp_start = idx - 1;
             state = 2;
           }
+          else if ('"' == c && in_buffer.indexOf('"', idx) >= 0 && !/[\r\n]/.test(in_buffer.substring(idx, in_buffer.indexOf('"', idx)))) {
+            //quoted string on a single line, kept with its quotes
+            var end = in_buffer.indexOf('"', idx);
+            r_tokens.push(_token('string', in_buffer.substring(idx - 1, end + 1), position));
+            idx = end + 1;
+          }
+          else if ('<' == c && '->' == in_buffer.substr(idx, 2)) {
+            r_tokens.push(_token('arrow', '<->', position));
+            idx += 2;
+          }
           else if (':' == c) {
-            r_tokens.push(_token(':', c));
+            r_tokens.push(_token(':', c, position));
           }
           else if (';' == c) {
-            r_tokens.push(_token(';', c));
+            r_tokens.push(_token(';', c, position));
           }
           else if ('\n' == c || '\r' == c) {
-            r_tokens.push(_token('newline', c));
+            r_tokens.push(_token('newline', c, position));
           }
           else if (util.is_whitespace(c)) {
-            r_tokens.push(_token('space', c));
+            r_tokens.push(_token('space', c, position));
           }
           else {
-            r_tokens.push(_token('word', c));
+            r_tokens.push(_token('word', c, position));
           }
           break;
 
@@ -664,393 +2528,2729 @@ var parser = (function() {
             tmp_buffer = tmp_buffer + c;
           }
           else {
-            r_tokens.push(_token('word', tmp_buffer));
+            r_tokens.push(_token('word', tmp_buffer, positions[tmp_start]));
             _back();
           }
 
           break;
 
-        case 2: //arrow
-          if ('>' == c) {
+        case 2: //arrow: '->', '->>', '-->' or '-x'
+          if ('>' == c || 'x' == c || ('-' == c && '>' == in_buffer.charAt(idx))) {
             tmp_buffer += c;
-            r_tokens.push(_token('arrow', tmp_buffer));
+            if (('>' == c && '>' == in_buffer.charAt(idx)) || '-' == c) {
+              tmp_buffer += in_buffer.charAt(idx++);
+            }
+            r_tokens.push(_token('arrow', tmp_buffer, positions[tmp_start]));
             tmp_buffer = '';
             state = 0;
           }
           else {
-            r_tokens.push(_token('word', tmp_buffer));
+            r_tokens.push(_token('word', tmp_buffer, positions[tmp_start]));
             _back();
           }
           break;
 
         case 3: //second slash in comment
           if ('/' == c) {
+            tmp_buffer = '//';
             state = 4;
           }
+          else {
+            r_tokens.push(_token('word', '/', positions[tmp_start]));
+            _back();
+          }
           break;
 
-        case 4: //comment line
+        case 4: //comment line, kept as a trivia token for the formatter
           if ('\n' == c || '\r' == c) {
-            // r_tokens.push(_token('newline', c));
-            state = 0;
+            r_tokens.push(_token('comment', util.trim(tmp_buffer), positions[tmp_start]));
+            _back();
           }
-        break;
+          else {
+            tmp_buffer += c;
+          }
+          break;
 
         default:
           return null;
       }
     }
 
-    r_tokens.push(_token('eof'));
+    //comment on the last line, it swallowed the appended ;
+    if (4 == state) {
+      r_tokens.push(_token('comment', util.trim(tmp_buffer.substring(0, tmp_buffer.length - 1)), positions[tmp_start]));
+      r_tokens.push(_token(';', ';', positions[positions.length - 1]));
+    }
+
+    r_tokens.push(_token('eof', '', positions[positions.length - 1]));
 
     return r_tokens;
   };
 
-  //parse program to abstract syntax tree
-  function sequence_diagram(src) {
-    var tokens = _lexical_analyze(src);
-    //console.log('tokens:', tokens);
-    var ast = _sequence_diagram(tokens);
-    return ast;
-  }
-
-  function _sequence_diagram(tokens) {
-    var r = _statements(tokens, 0);
+  //syntax error: in_statement failed to match, in_expected describes what should have been at in_token
+  function _error(in_statement, in_expected, in_token) {
+    var found;
+    if ('eof' == in_token.type) {
+      found = 'end of input';
+    }
+    else if (';' == in_token.type || 'newline' == in_token.type) {
+      found = 'end of statement';
+    }
+    else {
+      found = "'" + in_token.value + "'";
+    }
 
-    if (null != r && r.length == tokens.length) {
-      return { type: 'sequence_diagram', attr: {}, children : [ r ], offset : 0, length : tokens.length }
+    var r = {
+      type : 'error',
+      attr : { statement : in_statement, expected : in_expected, found : found, line : in_token.line, column : in_token.column },
+      message : 'Line ' + in_token.line + ', column ' + in_token.column + ': '
+        + in_statement.replace(/_/g, ' ') + ' expects ' + in_expected + ' but found ' + found
+    };
+    //in an included file
+    if (null != in_token.file) {
+      r.attr.file = in_token.file;
+      r.message = in_token.file + ': ' + r.message;
     }
+    return r;
+  }
 
-    return null;
+  //index of the first token from in_offset on that isn't a space
+  function _skip_spaces(in_tokens, in_offset) {
+    var i = in_offset;
+    while (i < in_tokens.length && 'space' == in_tokens[i].type) {
+      ++i;
+    }
+    return i;
   }
 
-  function _statements(in_tokens, in_offset) {
-    var match_result = { type : 'statements', attr: {}, children : [], offset : in_offset, length : 0 };
+  function _ends_statement(in_token) {
+    return null == in_token || ';' == in_token.type || 'newline' == in_token.type || 'eof' == in_token.type || 'comment' == in_token.type;
+  }
 
-    for (var idx = in_offset; idx < in_tokens.length; ) {
-      var type = in_tokens[idx].type;
-      var value = in_tokens[idx].value;
+  /*
+   * expand "!include" and macros, see the grammar. Tokens of an included file carry its
+   * name in "file", tokens an include or a macro call expanded to are marked "expanded",
+   * and the directives of the main source are kept as 'directive' trivia for format.
+   *
+   * in_options.resolver(path, from): { file : name, src : source } of the path included
+   * from the file named from (in_options.file for the main source), or null when it can't be read
+   * in_options.file: name of the main source
+   */
+  function _expand(in_tokens, in_options) {
+    var options = in_options || {};
+    var macros = Object.create(null); //no inherited names, "toString(A)" is not a call
+    var files = [ options.file ]; //files being included, to detect cycles
+    var calls = []; //macros being expanded
+    var out_tokens = [];
+
+    //copy of a token of a macro body or argument
+    function _expanded(in_token) {
+      var token = {};
+      for (var k in in_token) {
+        token[k] = in_token[k];
+      }
+      token.expanded = true;
+      return token;
+    }
 
-      if ('word' == type) {
-        var r = null;
-        if ('object' == value) {
-          r = _object_declaration(in_tokens, idx);
-        }
-        else if ('alt' == value) {
-          alert('alt statement');
-        }
-        else if ('opt' == value) {
-          alert('opt statement');
-        }
-        else if ('loop' == value) {
-          alert('loop statement');
-        }
-        else if ('note' == value) {
-          r = _note_statement(in_tokens, idx);
-        }
-        else if ('space' == value) {
-          r = _space_statement(in_tokens, idx);
+    //trivia for each source line of the directive in tokens [in_from, in_to), unless it was expanded itself
+    function _directives(in_tokens, in_from, in_to) {
+      if (in_tokens[in_from].expanded) {
+        return;
+      }
+      var text = '';
+      var first = in_tokens[in_from];
+      for (var i = in_from; i <= in_to; ++i) {
+        if (i == in_to || 'newline' == in_tokens[i].type) {
+          if ('' != util.trim(text)) {
+            out_tokens.push({ type : 'directive', value : text.replace(/\s+$/, ''), line : first.line, column : first.column });
+          }
+          text = '';
+          first = in_tokens[i + 1];
         }
         else {
-          r = _message_statement(in_tokens, idx);
+          text += in_tokens[i].value;
         }
+      }
+    }
 
-        if (null == r) {
-          return null;
+    //number of tokens up to and including the end of statement at in_end, the end of input stays
+    function _length(in_tokens, in_offset, in_end) {
+      return (in_end < in_tokens.length && 'eof' != in_tokens[in_end].type ? in_end + 1 : in_end) - in_offset;
+    }
+
+    function _include(in_tokens, in_offset) {
+      var path = '';
+      var path_token = null;
+      var i = in_offset + 2;
+      for (; !_ends_statement(in_tokens[i]); ++i) {
+        if (null == path_token && 'space' != in_tokens[i].type) {
+          path_token = in_tokens[i];
         }
-        match_result.children.push(r);
-        idx += r.length;
+        path += in_tokens[i].value;
       }
-      else {
-        ++idx;
+      path = util.trim(path).replace(/^"(.*)"$/, '$1');
+      if (null == path_token || '' == path) {
+        return _error('include_directive', 'a file name', in_tokens[Math.min(i, in_tokens.length - 1)]);
       }
-    }
+      //the whole path where it starts
+      path_token = { type : 'word', value : path, line : path_token.line, column : path_token.column, file : path_token.file };
 
-    match_result.length = idx - in_offset;
-    return match_result;
-  }
+      if (null == options.resolver) {
+        return _error('include_directive', 'a resolver to read files with', path_token);
+      }
+      var from = (null == in_tokens[in_offset].file ? options.file : in_tokens[in_offset].file);
+      var found = options.resolver(path, from);
+      if (null == found) {
+        return _error('include_directive', 'a file that can be read', path_token);
+      }
+      for (var j = 0; j < files.length; ++j) {
+        if (files[j] == found.file) {
+          return _error('include_directive', 'a file that is not including it', path_token);
+        }
+      }
 
-  function _is_object(in_str) {
-    if (null == in_str || 0 == in_str.length) {
-      return false;
-    }
+      //a comment stays on the line of the directive
+      var end = ('comment' == in_tokens[i].type ? i + 1 : i);
+      _directives(in_tokens, in_offset, end);
 
-    for (var i in in_str) {
-      var c = in_str.charAt(i);
-      if (!util.is_alpha_digit(c) && !util.is_underscore(c)) {
-        return false;
+      var tokens = _lexical_analyze(found.src);
+      tokens.pop(); //eof, the ';' appended to the source ends its last statement
+      for (var j = 0; j < tokens.length; ++j) {
+        tokens[j].file = found.file;
+        tokens[j].expanded = true;
+      }
+      files.push(found.file);
+      var r = _expand_tokens(tokens);
+      files.pop();
+      if (null != r) {
+        return r;
       }
-    }
-
-    return true;
-  }
 
-  function _is_keyword(in_word) {
-    var keywords = { 'alt' : true, 'opt' : true, 'loop' : true, 'note' : true, 'space' : true };
-    return true == keywords[in_word];
-  }
+      return { type : 'include_directive', length : _length(in_tokens, in_offset, end) };
+    }
 
-  function _object_declaration(in_tokens, in_offset) {
-    var match_result = {
-      type : 'object_declaration',
-           attr : { name : null, names : [] },
-      offset : in_offset,
-      length : 0
-    };
+    function _define(in_tokens, in_offset) {
+      var macro = { name : null, params : [], body : [] };
+      var depth = 0; //fragments in the body, their "end" doesn't end the definition
+      var starts = true;
 
-    var state = 0;
-    for (var i = in_offset; i < in_tokens.length && 2 != state; ++i) {
-      var type = in_tokens[i].type;
-      var value = in_tokens[i].value;
+      var state = 0;
+      for (var i = in_offset; i < in_tokens.length && 7 != state; ++i) {
+        var type = in_tokens[i].type;
+        var value = in_tokens[i].value;
 
-      switch(state) {
-        case 0: //'object'
-          if ('space' == type) {
-            continue;
-          }
-          if ('object' != value) {
-            return null;
-          }
-          state = 1;
-          break;
-        case 1: //names
-          if ('space' == type) {
-            continue;
-          }
-          else if (';' == type || 'newline' == type || 'eof' == type) {
-            if (0 == match_result.attr.names.length) {
-              return null;
+        switch (state) {
+          case 0: //'define'
+            state = 1;
+            break;
+          case 1: //name
+            if ('space' == type) {
+              continue;
+            }
+            if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+              return _error('macro_definition', 'macro name', in_tokens[i]);
             }
+            macro.name = value;
             state = 2;
             break;
-          }
-          else if ('word' != type || _is_keyword(value) || !_is_object(value)) {
-            return null;
-          }
-
-          match_result.attr.names.push(value);
-          break;
-      }
-    }
+          case 2: //'('
+            if ('space' == type) {
+              continue;
+            }
+            if ('(' != value) {
+              return _error('macro_definition', "'('", in_tokens[i]);
+            }
+            state = 3;
+            break;
+          case 3: //parameter, or ')' without any
+          case 4: //',' or ')'
+            if ('space' == type) {
+              continue;
+            }
+            if (')' == value && (4 == state || 0 == macro.params.length)) {
+              state = 5;
+              break;
+            }
+            if (4 == state) {
+              if (',' != value) {
+                return _error('macro_definition', "',' or ')'", in_tokens[i]);
+              }
+              state = 3;
+              break;
+            }
+            if ('word' != type || _is_keyword(value) || !_is_object(value) || macro.params.indexOf(value) >= 0) {
+              return _error('macro_definition', 'parameter name', in_tokens[i]);
+            }
+            macro.params.push(value);
+            state = 4;
+            break;
+          case 5: //end of statement
+            if ('space' == type || 'comment' == type) {
+              continue;
+            }
+            if (';' != type && 'newline' != type) {
+              return _error('macro_definition', 'end of statement', in_tokens[i]);
+            }
+            state = 6;
+            break;
+          case 6: //body up to its "end"
+            if ('eof' == type) {
+              return _error('macro_definition', "'end'", in_tokens[i]);
+            }
+            if (starts && 'word' == type) {
+              if ('alt' == value || 'opt' == value || 'loop' == value) {
+                ++depth;
+              }
+              else if ('end' == value && _ends_statement(in_tokens[_skip_spaces(in_tokens, i + 1)])) {
+                if (0 == depth) {
+                  state = 7;
+                  break;
+                }
+                --depth;
+              }
+            }
+            if (starts && 'define' == value && 'word' == (in_tokens[_skip_spaces(in_tokens, i + 1)] || {}).type) {
+              return _error('macro_definition', "'end' before another definition", in_tokens[i]);
+            }
+            starts = (';' == type || 'newline' == type || (starts && ('space' == type || 'comment' == type)));
+            if ('comment' != type) {
+              macro.body.push(in_tokens[i]);
+            }
+            break;
+        }
+      }
 
-    if (2 != state) {
+      if (7 != state) {
+        return _error('macro_definition', "'end'", in_tokens[in_tokens.length - 1]);
+      }
+
+      //the rest of the line of "end"
+      var end = _skip_spaces(in_tokens, i);
+      if ('comment' == (in_tokens[end] || {}).type) {
+        ++end;
+      }
+      _directives(in_tokens, in_offset, end);
+      macros[macro.name] = macro;
+
+      return { type : 'macro_definition', length : _length(in_tokens, in_offset, end) };
+    }
+
+    function _call(in_tokens, in_offset) {
+      var name = in_tokens[in_offset].value;
+      var macro = macros[name];
+      var args = [];
+      var arg = [];
+      var depth = 0; //parentheses in an argument
+
+      var state = 0;
+      for (var i = in_offset + 1; i < in_tokens.length && 3 != state; ++i) {
+        var type = in_tokens[i].type;
+        var value = in_tokens[i].value;
+
+        switch (state) {
+          case 0: //'('
+            if ('space' != type) {
+              state = 1;
+            }
+            break;
+          case 1: //arguments up to the matching ')'
+            if (';' == type || 'newline' == type || 'eof' == type) {
+              return _error('macro_call', "')'", in_tokens[i]);
+            }
+            if ((',' == value || ')' == value) && 0 == depth) {
+              args.push(arg);
+              arg = [];
+              if (')' == value) {
+                state = 2;
+              }
+              break;
+            }
+            depth += ('(' == value ? 1 : ')' == value ? -1 : 0);
+            arg.push(in_tokens[i]);
+            break;
+          case 2: //end of statement
+            if ('space' == type || 'comment' == type) {
+              continue;
+            }
+            if (';' != type && 'newline' != type && 'eof' != type) {
+              return _error('macro_call', 'end of statement', in_tokens[i]);
+            }
+            state = 3;
+            break;
+        }
+      }
+
+      if (3 != state) {
+        return _error('macro_call', 'end of statement', in_tokens[in_tokens.length - 1]);
+      }
+      var end = i - 1;
+
+      //arguments without the spaces around them, "NAME()" has none
+      for (var j = 0; j < args.length; ++j) {
+        var from = _skip_spaces(args[j], 0);
+        var to = args[j].length;
+        while (to > from && 'space' == args[j][to - 1].type) {
+          --to;
+        }
+        args[j] = args[j].slice(from, to);
+      }
+      if (1 == args.length && 0 == args[0].length && 0 == macro.params.length) {
+        args = [];
+      }
+      if (args.length != macro.params.length) {
+        return _error('macro_call', macro.params.length + ' arguments for ' + name, in_tokens[end - 1]);
+      }
+      if (calls.indexOf(name) >= 0) {
+        return _error('macro_call', 'a macro that is not expanding already', in_tokens[in_offset]);
+      }
+
+      _directives(in_tokens, in_offset, end);
+
+      var body = [];
+      for (var j = 0; j < macro.body.length; ++j) {
+        var token = macro.body[j];
+        var param = ('word' == token.type ? macro.params.indexOf(token.value) : -1);
+        if (param < 0) {
+          body.push(_expanded(token));
+          continue;
+        }
+        for (var k = 0; k < args[param].length; ++k) {
+          body.push(_expanded(args[param][k]));
+        }
+      }
+      calls.push(name);
+      var r = _expand_tokens(body);
+      calls.pop();
+      if (null != r) {
+        return r;
+      }
+
+      return { type : 'macro_call', length : _length(in_tokens, in_offset, end) };
+    }
+
+    //null, or the error of the first directive that fails
+    function _expand_tokens(in_tokens) {
+      var starts = true; //a statement may start at the token
+      for (var i = 0; i < in_tokens.length; ) {
+        var token = in_tokens[i];
+        var next = in_tokens[_skip_spaces(in_tokens, i + 1)] || {};
+        var r = null;
+        if (starts && '!' == token.value && 'include' == (in_tokens[i + 1] || {}).value) {
+          r = _include(in_tokens, i);
+        }
+        else if (starts && 'define' == token.value && 'word' == next.type) {
+          r = _define(in_tokens, i);
+        }
+        else if (starts && 'word' == token.type && null != macros[token.value] && '(' == next.value) {
+          r = _call(in_tokens, i);
+        }
+
+        if (null == r) {
+          //comments of included files and macros are left out
+          if ('comment' != token.type || !token.expanded) {
+            out_tokens.push(token);
+          }
+          starts = (';' == token.type || 'newline' == token.type || (starts && ('space' == token.type || 'comment' == token.type)));
+          ++i;
+          continue;
+        }
+        if ('error' == r.type) {
+          return r;
+        }
+        i += r.length;
+        starts = true;
+      }
       return null;
     }
 
-    match_result.length = i - in_offset;
+    var r = _expand_tokens(in_tokens);
+    return (null == r ? out_tokens : r);
+  }
+
+  //parse program to abstract syntax tree, or to an error (type 'error') describing the first syntax error
+  //in_options.resolver, in_options.file: read the files of "!include", see _expand
+  function sequence_diagram(src, in_options) {
+    var tokens = _expand(_lexical_analyze(src), in_options);
+    //console.log('tokens:', tokens);
+    if ('error' == tokens.type) {
+      return tokens;
+    }
+    var ast = _sequence_diagram(tokens);
+    return ast;
+  }
+
+  function _sequence_diagram(in_tokens) {
+    //comments and directives are trivia, statements never see them
+    var tokens = [];
+    var comments = [];
+    for (var i = 0; i < in_tokens.length; ++i) {
+      if ('comment' == in_tokens[i].type) {
+        comments.push({ line : in_tokens[i].line, text : in_tokens[i].value });
+      }
+      else if ('directive' == in_tokens[i].type) {
+        comments.push({ line : in_tokens[i].line, text : in_tokens[i].value, directive : true });
+      }
+      else {
+        tokens.push(in_tokens[i]);
+      }
+    }
+
+    var r = _statements(tokens, 0);
+
+    if ('error' == r.type) {
+      return r;
+    }
+    var error = _check_lifelines(tokens, r);
+    if (null != error) {
+      return error;
+    }
+
+    return { type: 'sequence_diagram', attr: { comments : comments }, children : [ r ], offset : 0, length : tokens.length }
+  }
+
+  //the statements in order of appearance make sense for the lifelines: an object is created once,
+  //takes no messages after it's destroyed and is known before it's deactivated, returns the error of the first that doesn't or null
+  function _check_lifelines(in_tokens, in_ast) {
+    var declared = Object.create(null);
+    var used = Object.create(null); //in a statement, or created
+    var pending = Object.create(null); //"create" waiting for its message
+    var destroyed = Object.create(null);
+
+    //token of in_value in in_ast, from the first token of type in_after on
+    function _token(in_ast, in_value, in_after) {
+      var end = in_ast.offset + in_ast.length;
+      var i = in_ast.offset;
+      while (null != in_after && i < end && in_after != in_tokens[i].type) {
+        ++i;
+      }
+      while (i < end && in_value != in_tokens[i].value) {
+        ++i;
+      }
+      return in_tokens[Math.min(i, end - 1)];
+    }
+
+    function _check(ast) {
+      if ('message_statement' == ast.type) {
+        var s = ast.attr.sender;
+        var r = ast.attr.receiver;
+        if (destroyed[s]) {
+          return _error('message_statement', 'sender object that is not destroyed', _token(ast, s));
+        }
+        if (destroyed[r]) {
+          return _error('message_statement', 'receiver object that is not destroyed', _token(ast, r, 'arrow'));
+        }
+        if (ast.attr.create && used[r] && !pending[r]) {
+          return _error('message_statement', 'receiver object that does not exist yet', _token(ast, r, 'arrow'));
+        }
+        used[s] = used[r] = true;
+        delete pending[r];
+      }
+      else if ('lifeline_statement' == ast.type) {
+        var obj = ast.attr.object;
+        if ('create' == ast.attr.action && (used[obj] || destroyed[obj])) {
+          return _error('lifeline_statement', 'object that does not exist yet', _token(ast, obj));
+        }
+        if ('destroy' == ast.attr.action && destroyed[obj]) {
+          return _error('lifeline_statement', 'object that is not destroyed', _token(ast, obj));
+        }
+        pending[obj] = ('create' == ast.attr.action);
+        used[obj] = true;
+        destroyed[obj] = ('destroy' == ast.attr.action);
+      }
+      else if ('note_statement' == ast.type || 'ref_statement' == ast.type) {
+        for (var i = 0; i < ast.attr.objects.length; ++i) {
+          used[ast.attr.objects[i]] = true;
+        }
+      }
+      else if ('activation_statement' == ast.type) {
+        //like an "end" without a fragment, rather than a participant of its own
+        var obj = ast.attr.object;
+        if ('deactivate' == ast.attr.action && !declared[obj] && !used[obj]) {
+          return _error('activation_statement', 'object declared or in a statement before', _token(ast, obj));
+        }
+        used[obj] = true;
+      }
+      else if ('object_declaration' == ast.type) {
+        for (var i = 0; i < ast.attr.names.length; ++i) {
+          declared[ast.attr.names[i]] = true;
+        }
+      }
+
+      for (var i = 0; i < (ast.children || []).length; ++i) {
+        var error = _check(ast.children[i]);
+        if (null != error) {
+          return error;
+        }
+      }
+      return null;
+    }
+    return _check(in_ast);
+  }
+
+  //in_nested: stop at the "else" or "end" closing the enclosing fragment
+  function _statements(in_tokens, in_offset, in_nested) {
+    var match_result = { type : 'statements', attr: {}, children : [], offset : in_offset, length : 0 };
+
+    for (var idx = in_offset; idx < in_tokens.length; ) {
+      var type = in_tokens[idx].type;
+      var value = in_tokens[idx].value;
+
+      if ('word' == type) {
+        if (in_nested && ('else' == value || 'end' == value)) {
+          break;
+        }
+        if ('else' == value || 'end' == value) {
+          return _error('fragment_statement', "'alt', 'opt' or 'loop' before '" + value + "'", in_tokens[idx]);
+        }
+
+        var r = null;
+        if ('object' == value || _is_kind_declaration(in_tokens, idx)) {
+          r = _object_declaration(in_tokens, idx);
+        }
+        else if ('alt' == value || 'opt' == value || 'loop' == value) {
+          r = _fragment_statement(in_tokens, idx);
+        }
+        else if ('note' == value) {
+          r = _note_statement(in_tokens, idx);
+        }
+        else if ('space' == value) {
+          r = _space_statement(in_tokens, idx);
+        }
+        else if (('activate' == value || 'deactivate' == value) && _starts_statement(in_tokens, idx)) {
+          r = _activation_statement(in_tokens, idx);
+        }
+        else if (('create' == value || 'destroy' == value) && _starts_statement(in_tokens, idx)) {
+          r = _lifeline_statement(in_tokens, idx);
+        }
+        else if ('wrap' == value && _starts_statement(in_tokens, idx)) {
+          r = _wrap_statement(in_tokens, idx);
+        }
+        else if ('autonumber' == value && _starts_statement(in_tokens, idx)) {
+          r = _autonumber_statement(in_tokens, idx);
+        }
+        else if (true == _captions[value] && _starts_statement(in_tokens, idx)) {
+          r = _caption_statement(in_tokens, idx);
+        }
+        else if ('box' == value && _starts_statement(in_tokens, idx)) {
+          r = _box_statement(in_tokens, idx);
+        }
+        else if ('hide' == value && _starts_statement(in_tokens, idx)) {
+          r = _hide_statement(in_tokens, idx);
+        }
+        else if ('ref' == value && _starts_statement(in_tokens, idx)) {
+          r = _ref_statement(in_tokens, idx);
+        }
+        else if ('=' == value) {
+          r = _divider_statement(in_tokens, idx);
+        }
+        else if ('.' == value) {
+          r = _delay_statement(in_tokens, idx);
+        }
+        else {
+          r = _message_statement(in_tokens, idx);
+        }
+
+        if ('error' == r.type) {
+          return r;
+        }
+        r.line = in_tokens[idx].line;
+        if (null != in_tokens[idx].file) {
+          r.file = in_tokens[idx].file;
+        }
+        if (in_tokens[idx].expanded) {
+          r.expanded = true;
+        }
+        match_result.children.push(r);
+        idx += r.length;
+      }
+      else {
+        ++idx;
+      }
+    }
+
+    match_result.length = idx - in_offset;
     return match_result;
   }
 
-  function _space_statement(in_tokens, in_offset) {
+  function _is_object(in_str) {
+    if (null == in_str || 0 == in_str.length) {
+      return false;
+    }
+
+    for (var i in in_str) {
+      var c = in_str.charAt(i);
+      if (!util.is_alpha_digit(c) && !util.is_underscore(c)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  //kinds of participant an object declaration may start with instead of "object"
+  var _kinds = { 'actor' : true, 'boundary' : true, 'control' : true, 'entity' : true, 'database' : true, 'queue' : true };
+
+  //a kind followed by a name declares, "queue->A" is still a message from an object named queue
+  function _is_kind_declaration(in_tokens, in_offset) {
+    if (true != _kinds[in_tokens[in_offset].value]) {
+      return false;
+    }
+    var i = in_offset + 1;
+    while ('space' == in_tokens[i].type) {
+      ++i;
+    }
+    return 'word' == in_tokens[i].type || 'string' == in_tokens[i].type;
+  }
+
+  //words starting a title, header, footer or legend
+  var _captions = { 'title' : true, 'header' : true, 'footer' : true, 'legend' : true };
+
+  //a word like title or box starts its statement unless an arrow follows, "title->A" and "box -> A" are messages
+  function _starts_statement(in_tokens, in_offset) {
+    var i = in_offset + 1;
+    while ('space' == in_tokens[i].type) {
+      ++i;
+    }
+    return 'arrow' != in_tokens[i].type;
+  }
+
+  //"[" and "]" stand for the left and right edges of the diagram in messages
+  function _is_edge(in_word) {
+    return '[' == in_word || ']' == in_word;
+  }
+
+  function _is_keyword(in_word) {
+    var keywords = { 'alt' : true, 'opt' : true, 'loop' : true, 'else' : true, 'end' : true, 'note' : true, 'space' : true };
+    return true == keywords[in_word];
+  }
+
+  function _object_declaration(in_tokens, in_offset) {
+    //labels and orders by name have no inherited names, "object constructor" has neither
     var match_result = {
-      type : 'space_statement',
-           attr : { object : null, side : null, content: ''},
+      type : 'object_declaration',
+           attr : { name : null, kind : 'participant', names : [], labels : Object.create(null), orders : Object.create(null) },
       offset : in_offset,
       length : 0
     };
 
+    var label = null;
     var state = 0;
     for (var i = in_offset; i < in_tokens.length && 2 != state; ++i) {
       var type = in_tokens[i].type;
       var value = in_tokens[i].value;
 
       switch(state) {
-        case 0: //'space'
+        case 0: //'object' or a kind
           if ('space' == type) {
             continue;
           }
-          if ('space' != value) {
-            return null;
+          if ('object' != value && true != _kinds[value]) {
+            return _error('object_declaration', "'object'", in_tokens[i]);
           }
+          match_result.attr.kind = ('object' == value ? 'participant' : value);
           state = 1;
           break;
-        case 1: //number
+        case 1: //names
           if ('space' == type) {
             continue;
           }
-          var gap_size = parseInt(value);
-          if (isNaN(gap_size)) {
-            return null;
+          else if (';' == type || 'newline' == type || 'eof' == type) {
+            if (0 == match_result.attr.names.length) {
+              return _error('object_declaration', 'object name', in_tokens[i]);
+            }
+            state = 2;
+            break;
           }
-          match_result.attr.gap_size = gap_size;
-          state = 2;
+          else if ('string' == type) {
+            label = value.substring(1, value.length - 1);
+            state = 3;
+            break;
+          }
+          else if ('order' == value && match_result.attr.names.length > 0 && null != _order_hint(in_tokens, i + 1)) {
+            //order of the name before it
+            var hint = _order_hint(in_tokens, i + 1);
+            match_result.attr.orders[match_result.attr.names[match_result.attr.names.length - 1]] = hint.order;
+            i += hint.length;
+            break;
+          }
+          else if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('object_declaration', 'object name', in_tokens[i]);
+          }
+
+          match_result.attr.names.push(value);
+          break;
+        case 3: //'as' after a display name
+          if ('space' == type) {
+            continue;
+          }
+          if ('as' != value) {
+            return _error('object_declaration', "'as'", in_tokens[i]);
+          }
+          state = 4;
+          break;
+        case 4: //alias
+          if ('space' == type) {
+            continue;
+          }
+          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('object_declaration', 'alias', in_tokens[i]);
+          }
+          match_result.attr.names.push(value);
+          match_result.attr.labels[value] = label;
+          state = 1;
           break;
       }
     }
 
+    if (2 != state) {
+      return _error('object_declaration', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
     match_result.length = i - in_offset;
     return match_result;
   }
 
-  function _note_statement(in_tokens, in_offset) {
+  //integer after "order", with the number of tokens up to its end, or null when there is none
+  function _order_hint(in_tokens, in_offset) {
+    var i = in_offset;
+    while ('space' == in_tokens[i].type) {
+      ++i;
+    }
+    var sign = 1;
+    if ('-' == in_tokens[i].value) {
+      sign = -1;
+      ++i;
+    }
+    if ('word' != in_tokens[i].type || !/^[0-9]+$/.test(in_tokens[i].value)) {
+      return null;
+    }
+    return { order : sign * parseInt(in_tokens[i].value), length : i + 1 - in_offset };
+  }
+
+  function _hide_statement(in_tokens, in_offset) {
     var match_result = {
-      type : 'note_statement',
-           attr : { object : null, side : null, content: ''},
+      type : 'hide_statement',
+      attr : { what : null },
       offset : in_offset,
       length : 0
     };
 
     var state = 0;
-    for (var i = in_offset; i < in_tokens.length && 6 != state; ++i) {
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ++i) {
       var type = in_tokens[i].type;
       var value = in_tokens[i].value;
 
-      switch(state) {
-        case 0: //'note'
+      switch (state) {
+        case 0: //'hide'
           if ('space' == type) {
             continue;
           }
-          if ('note' != value) {
-            return null;
+          if ('hide' != value) {
+            return _error('hide_statement', "'hide'", in_tokens[i]);
           }
           state = 1;
           break;
-        case 1: //side
+        case 1: //what to hide
           if ('space' == type) {
             continue;
           }
-          if ('left' != value && 'right' != value) {
-            return null;
+          if ('unlinked' != value) {
+            return _error('hide_statement', "'unlinked'", in_tokens[i]);
           }
-          match_result.attr.side = value;
+          match_result.attr.what = value;
           state = 2;
           break;
-        case 2: //'of'
+        case 2: //EOS
           if ('space' == type) {
             continue;
           }
-          if ('of' != value) {
-            return null;
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('hide_statement', 'end of statement', in_tokens[i]);
           }
           state = 3;
           break;
-        case 3: //object
+      }
+    }
+
+    if (3 != state) {
+      return _error('hide_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _space_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'space_statement',
+           attr : { object : null, side : null, content: ''},
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 2 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'space'
           if ('space' == type) {
             continue;
           }
-          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
-            return null;
+          if ('space' != value) {
+            return _error('space_statement', "'space'", in_tokens[i]);
           }
-          match_result.attr.object = value;
-          state = 4;
+          state = 1;
           break;
-        case 4: //':'
-          if ('space' == in_tokens[i].type) {
+        case 1: //number
+          if ('space' == type) {
             continue;
           }
-          if (type != ':') {
-            return null;
+          var gap_size = parseInt(value);
+          if (isNaN(gap_size)) {
+            return _error('space_statement', 'gap size', in_tokens[i]);
           }
-          state = 5;
+          match_result.attr.gap_size = gap_size;
+          state = 2;
           break;
-        case 5: //content
-          if (type == ';' || type == 'newline' || type == 'eof') {
-            state = 6;
+      }
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _caption_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'caption_statement',
+      attr : { kind : null, text : '', align : 'center' },
+      offset : in_offset,
+      length : 0
+    };
+
+    var lines = [];
+    var line = '';
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 5 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+      var is_eos = (';' == type || 'newline' == type || 'eof' == type);
+
+      switch(state) {
+        case 0: //'title', 'header', 'footer' or 'legend'
+          if (true != _captions[value]) {
+            return _error('caption_statement', "'title', 'header', 'footer' or 'legend'", in_tokens[i]);
+          }
+          match_result.attr.kind = value;
+          match_result.attr.align = ('header' == value ? 'right' : 'center');
+          state = ('legend' == value ? 2 : 1);
+          break;
+        case 1: //text of a one line caption
+          if (is_eos) {
+            match_result.attr.text = util.trim(line);
+            state = 5;
+            break;
+          }
+          line += value;
+          break;
+        case 2: //alignment of a legend
+          if ('space' == type) {
+            continue;
+          }
+          if ('left' == value || 'right' == value || 'center' == value) {
+            match_result.attr.align = value;
+            state = 3;
             break;
           }
+          if (!is_eos) {
+            return _error('caption_statement', "'left', 'right', 'center' or end of statement", in_tokens[i]);
+          }
+          state = 4;
+          break;
+        case 3: //EOS after the alignment
           if ('space' == type) {
-            '' != match_result.attr.content && (match_result.attr.content += value);
+            continue;
           }
-          else {
-            match_result.attr.content += value;
+          if (!is_eos) {
+            return _error('caption_statement', 'end of statement', in_tokens[i]);
+          }
+          state = 4;
+          break;
+        case 4: //lines of a legend up to "end legend"
+          if (!is_eos) {
+            line += value;
+            break;
+          }
+          if (/^end\s+legend$/.test(util.trim(line))) {
+            match_result.attr.text = lines.join('\\n');
+            state = 5;
+            break;
           }
+          if ('eof' == type) {
+            return _error('caption_statement', "'end legend'", in_tokens[i]);
+          }
+          lines.push(util.trim(line));
+          line = '';
           break;
       }
     }
 
-    if (6 != state) {
-      return null;
+    if (5 != state) {
+      return _error('caption_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
     }
 
     match_result.length = i - in_offset;
     return match_result;
   }
 
-  function _message_statement(in_tokens, in_offset) {
+  function _divider_statement(in_tokens, in_offset) {
+    return _marked_statement(in_tokens, in_offset, 'divider_statement', '==');
+  }
+
+  function _delay_statement(in_tokens, in_offset) {
+    return _marked_statement(in_tokens, in_offset, 'delay_statement', '...');
+  }
+
+  //in_mark, then text closed by in_mark again, e.g. "== Handshake ==" or "... later ...";
+  //only a delay may leave out the text and the closing mark
+  function _marked_statement(in_tokens, in_offset, in_type, in_mark) {
     var match_result = {
-      type : 'message_statement',
-      attr: { sender : null, receiver : null, message : '' },
-      children : [],
+      type : in_type,
+      attr : { text : '' },
       offset : in_offset,
       length : 0
     };
 
+    var content = '';
+    var marks = 0;
     var state = 0;
-    for (var i = in_offset; i < in_tokens.length && 5 != state; ++i) {
+    for (var i = in_offset; i < in_tokens.length && 2 != state; ++i) {
       var type = in_tokens[i].type;
       var value = in_tokens[i].value;
 
-      switch (state) {
-        case 0: //sender
+      switch(state) {
+        case 0: //mark, one character per token
+          if (in_mark.charAt(marks) != value) {
+            return _error(in_type, "'" + in_mark + "'", in_tokens[i]);
+          }
+          if (++marks == in_mark.length) {
+            state = 1;
+          }
+          break;
+        case 1: //text up to the closing mark
+          if (';' == type || 'newline' == type || 'eof' == type) {
+            content = util.trim(content);
+            if (content.length >= in_mark.length && in_mark == content.substring(content.length - in_mark.length)) {
+              match_result.attr.text = util.trim(content.substring(0, content.length - in_mark.length));
+            }
+            else if ('' != content || 'delay_statement' != in_type) {
+              return _error(in_type, "'" + in_mark + "'", in_tokens[i]);
+            }
+            state = 2;
+            break;
+          }
+          content += value;
+          break;
+      }
+    }
+
+    if (2 != state) {
+      return _error(in_type, 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _wrap_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'wrap_statement',
+      attr : { width : 0 },
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'wrap'
           if ('space' == type) {
             continue;
           }
-          if (type != 'word' || _is_keyword(value) || !_is_object(value)) {
-            return null;
+          if ('wrap' != value) {
+            return _error('wrap_statement', "'wrap'", in_tokens[i]);
           }
-          match_result.attr.sender = value;
           state = 1;
           break;
-        case 1: //arrow
-          if ('space' == in_tokens[i].type) {
+        case 1: //width
+          if ('space' == type) {
             continue;
           }
-          if (type != 'arrow') {
-            return null;
+          if ('word' != type || !/^[0-9]+$/.test(value)) {
+            return _error('wrap_statement', 'width', in_tokens[i]);
           }
+          match_result.attr.width = parseInt(value);
           state = 2;
           break;
-        case 2: //receiver
-          if ('space' == in_tokens[i].type) {
+        case 2: //EOS
+          if ('space' == type) {
             continue;
           }
-          if (type != 'word' || _is_keyword(value) || !_is_object(value)) {
-            return null;
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('wrap_statement', 'end of statement', in_tokens[i]);
           }
-          match_result.attr.receiver = value;
           state = 3;
           break;
-        case 3: //:
-          if ('space' == in_tokens[i].type) {
+      }
+    }
+
+    if (3 != state) {
+      return _error('wrap_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _autonumber_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'autonumber_statement',
+      attr : { action : 'start', start : 1, step : 1 },
+      offset : in_offset,
+      length : 0
+    };
+
+    var numbers = 0;
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'autonumber'
+          if ('space' == type) {
             continue;
           }
-          if (type == ';' || type == 'newline') {
-            state = 5;
-            break;
+          if ('autonumber' != value) {
+            return _error('autonumber_statement', "'autonumber'", in_tokens[i]);
           }
-          if (type != ':') {
-            return null;
+          state = 1;
+          break;
+        case 1: //start and step, or 'stop' | 'resume'
+          if ('space' == type) {
+            continue;
+          }
+          if (';' == type || 'newline' == type || 'eof' == type) {
+            state = 3;
+          }
+          else if (0 == numbers && ('stop' == value || 'resume' == value)) {
+            match_result.attr.action = value;
+            state = 2;
+          }
+          else if ('word' == type && /^[0-9]+$/.test(value) && numbers < 2) {
+            match_result.attr[0 == numbers ? 'start' : 'step'] = parseInt(value);
+            ++numbers;
+          }
+          else {
+            return _error('autonumber_statement', (0 == numbers ? "start number, 'stop' or 'resume'" : 1 == numbers ? 'step' : 'end of statement'), in_tokens[i]);
           }
-          state = 4;
           break;
-        case 4:
-          if (type == ';' || type == 'newline' || type == 'eof') {
-            state = 5;
-            break;
+        case 2: //EOS
+          if ('space' == type) {
+            continue;
           }
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('autonumber_statement', 'end of statement', in_tokens[i]);
+          }
+          state = 3;
+          break;
+      }
+    }
 
-          //ignore leading spaces
+    if (3 != state) {
+      return _error('autonumber_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _lifeline_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'lifeline_statement',
+      attr : { object : null, action : null },
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'create' | 'destroy'
           if ('space' == type) {
-            '' != match_result.attr.message && (match_result.attr.message += value);
+            continue;
           }
-          else {
-            match_result.attr.message += value;
+          if ('create' != value && 'destroy' != value) {
+            return _error('lifeline_statement', "'create' or 'destroy'", in_tokens[i]);
           }
+          match_result.attr.action = value;
+          state = 1;
+          break;
+        case 1: //object
+          if ('space' == type) {
+            continue;
+          }
+          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('lifeline_statement', 'object name', in_tokens[i]);
+          }
+          match_result.attr.object = value;
+          state = 2;
+          break;
+        case 2: //EOS
+          if ('space' == type) {
+            continue;
+          }
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('lifeline_statement', 'end of statement', in_tokens[i]);
+          }
+          state = 3;
           break;
-        default:
-          return null;
       }
     }
 
-    if (state < 3) {
-      return null;
+    if (3 != state) {
+      return _error('lifeline_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
     }
 
     match_result.length = i - in_offset;
     return match_result;
   }
 
-  return {
-    sequence_diagram : sequence_diagram
-  };
-})();
+  function _activation_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'activation_statement',
+      attr : { object : null, action : null },
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'activate' | 'deactivate'
+          if ('space' == type) {
+            continue;
+          }
+          if ('activate' != value && 'deactivate' != value) {
+            return _error('activation_statement', "'activate' or 'deactivate'", in_tokens[i]);
+          }
+          match_result.attr.action = value;
+          state = 1;
+          break;
+        case 1: //object
+          if ('space' == type) {
+            continue;
+          }
+          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('activation_statement', 'object name', in_tokens[i]);
+          }
+          match_result.attr.object = value;
+          state = 2;
+          break;
+        case 2: //EOS
+          if ('space' == type) {
+            continue;
+          }
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('activation_statement', 'end of statement', in_tokens[i]);
+          }
+          state = 3;
+          break;
+      }
+    }
+
+    if (3 != state) {
+      return _error('activation_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _note_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'note_statement',
+           attr : { object : null, objects : [], side : null, content: ''},
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 6 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch(state) {
+        case 0: //'note'
+          if ('space' == type) {
+            continue;
+          }
+          if ('note' != value) {
+            return _error('note_statement', "'note'", in_tokens[i]);
+          }
+          state = 1;
+          break;
+        case 1: //side
+          if ('space' == type) {
+            continue;
+          }
+          if ('left' != value && 'right' != value && 'over' != value) {
+            return _error('note_statement', "'left', 'right' or 'over'", in_tokens[i]);
+          }
+          match_result.attr.side = value;
+          state = ('over' == value ? 3 : 2);
+          break;
+        case 2: //'of'
+          if ('space' == type) {
+            continue;
+          }
+          if ('of' != value) {
+            return _error('note_statement', "'of'", in_tokens[i]);
+          }
+          state = 3;
+          break;
+        case 3: //object
+          if ('space' == type) {
+            continue;
+          }
+          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('note_statement', 'object name', in_tokens[i]);
+          }
+          match_result.attr.objects.push(value);
+          match_result.attr.object = match_result.attr.objects[0];
+          state = 4;
+          break;
+        case 4: //':', or ',' before the last object of a note over two
+          if ('space' == in_tokens[i].type) {
+            continue;
+          }
+          var more = ('over' == match_result.attr.side && 1 == match_result.attr.objects.length);
+          if (more && ',' == value) {
+            state = 3;
+            break;
+          }
+          if (type != ':') {
+            return _error('note_statement', more ? "',' or ':'" : "':'", in_tokens[i]);
+          }
+          state = 5;
+          break;
+        case 5: //content
+          if (type == ';' || type == 'newline' || type == 'eof') {
+            state = 6;
+            break;
+          }
+          if ('space' == type) {
+            '' != match_result.attr.content && (match_result.attr.content += value);
+          }
+          else {
+            match_result.attr.content += value;
+          }
+          break;
+      }
+    }
+
+    if (6 != state) {
+      return _error('note_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _ref_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'ref_statement',
+      attr : { objects : [], side : 'over', content : '', link : null }, //laid out like a note over
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 5 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch (state) {
+        case 0: //'ref'
+          if ('space' == type) {
+            continue;
+          }
+          if ('ref' != value) {
+            return _error('ref_statement', "'ref'", in_tokens[i]);
+          }
+          state = 1;
+          break;
+        case 1: //'over'
+          if ('space' == type) {
+            continue;
+          }
+          if ('over' != value) {
+            return _error('ref_statement', "'over'", in_tokens[i]);
+          }
+          state = 2;
+          break;
+        case 2: //object
+          if ('space' == type) {
+            continue;
+          }
+          if ('word' != type || _is_keyword(value) || !_is_object(value)) {
+            return _error('ref_statement', 'object name', in_tokens[i]);
+          }
+          match_result.attr.objects.push(value);
+          state = 3;
+          break;
+        case 3: //',' before another object or ':'
+          if ('space' == type) {
+            continue;
+          }
+          if (',' == value) {
+            state = 2;
+            break;
+          }
+          if (':' != type) {
+            return _error('ref_statement', "',' or ':'", in_tokens[i]);
+          }
+          state = 4;
+          break;
+        case 4: //content
+          if (';' == type || 'newline' == type || 'eof' == type) {
+            state = 5;
+            break;
+          }
+          if ('space' == type) {
+            '' != match_result.attr.content && (match_result.attr.content += value);
+          }
+          else {
+            match_result.attr.content += value;
+          }
+          break;
+      }
+    }
+
+    if (5 != state) {
+      return _error('ref_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    //[[link]] at the end
+    var link = /\s*\[\[\s*([^\]]*?)\s*\]\]\s*$/.exec(match_result.attr.content);
+    if (null != link) {
+      match_result.attr.content = match_result.attr.content.substring(0, link.index);
+      match_result.attr.link = ('' == link[1] ? null : link[1]);
+    }
+    match_result.attr.content = util.trim(match_result.attr.content);
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  //text up to the end of statement, e.g. the guard of a fragment
+  function _condition(in_tokens, in_offset) {
+    var match_result = { text : '', length : 0 };
+
+    for (var i = in_offset; i < in_tokens.length; ++i) {
+      var type = in_tokens[i].type;
+      if (';' == type || 'newline' == type || 'eof' == type) {
+        break;
+      }
+      match_result.text += in_tokens[i].value;
+    }
+
+    var text = util.trim(match_result.text);
+    if ('[' == text.charAt(0) && ']' == text.charAt(text.length - 1)) {
+      text = util.trim(text.substring(1, text.length - 1));
+    }
+    match_result.text = text;
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _box_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'box_statement',
+      attr : { label : '' },
+      children : [],
+      lines : [], //source line of the keyword and of the end
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 4 != state; ) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch (state) {
+        case 0: //'box' and its label
+          var label = _condition(in_tokens, i + 1);
+          match_result.attr.label = label.text.replace(/^"(.*)"$/, '$1');
+          match_result.lines.push(in_tokens[i].line);
+          i += 1 + label.length;
+          state = 1;
+          break;
+        case 1: //participants
+          var r = _statements(in_tokens, i, true);
+          if ('error' == r.type) {
+            return r;
+          }
+          for (var j = 0; j < r.children.length; ++j) {
+            if ('object_declaration' != r.children[j].type) {
+              return _error('box_statement', "object declaration or 'end box'", in_tokens[r.children[j].offset]);
+            }
+          }
+          match_result.children.push(r);
+          i += r.length;
+          if (i >= in_tokens.length || 'end' != in_tokens[i].value) {
+            return _error('box_statement', "'end box'", in_tokens[Math.min(i, in_tokens.length - 1)]);
+          }
+          match_result.lines.push(in_tokens[i].line);
+          ++i;
+          state = 2;
+          break;
+        case 2: //'box' after 'end'
+          if ('space' == type) {
+            ++i;
+            continue;
+          }
+          if ('box' != value) {
+            return _error('box_statement', "'box'", in_tokens[i]);
+          }
+          ++i;
+          state = 3;
+          break;
+        case 3: //EOS
+          if ('space' == type) {
+            ++i;
+            continue;
+          }
+          if (';' != type && 'newline' != type && 'eof' != type) {
+            return _error('box_statement', 'end of statement', in_tokens[i]);
+          }
+          state = 4;
+          break;
+      }
+    }
+
+    if (4 != state) {
+      return _error('box_statement', "'end box'", in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  function _fragment_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'fragment_statement',
+      attr : { kind : null, conditions : [] },
+      children : [],
+      lines : [], //source line of the keyword, each else and end
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 3 != state; ) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch (state) {
+        case 0: //'alt' | 'opt' | 'loop', or 'else' inside an alt
+          if ('space' == type) {
+            ++i;
+            continue;
+          }
+          if (0 == match_result.children.length) {
+            match_result.attr.kind = value;
+          }
+          else if ('else' != value || 'alt' != match_result.attr.kind) {
+            return _error('fragment_statement', "'end'", in_tokens[i]);
+          }
+          var condition = _condition(in_tokens, i + 1);
+          match_result.attr.conditions.push(condition.text);
+          match_result.lines.push(in_tokens[i].line);
+          i += 1 + condition.length;
+          state = 1;
+          break;
+        case 1: //section body
+          var r = _statements(in_tokens, i, true);
+          if ('error' == r.type) {
+            return r;
+          }
+          match_result.children.push(r);
+          i += r.length;
+          if (i >= in_tokens.length) {
+            return _error('fragment_statement', "'end'", in_tokens[in_tokens.length - 1]);
+          }
+          state = ('end' == in_tokens[i].value ? 2 : 0);
+          break;
+        case 2: //'end'
+          var rest = _condition(in_tokens, i + 1);
+          if (0 != rest.text.length) {
+            var j = i + 1;
+            while ('space' == in_tokens[j].type) {
+              ++j;
+            }
+            return _error('fragment_statement', 'end of statement', in_tokens[j]);
+          }
+          match_result.lines.push(in_tokens[i].line);
+          ++i;
+          state = 3;
+          break;
+      }
+    }
+
+    if (3 != state) {
+      return _error('fragment_statement', "'end'", in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  //message kind of each arrow token
+  var _arrows = { '->' : 'sync', '-->' : 'reply', '->>' : 'async', '-x' : 'lost', '<->' : 'bidirectional' };
+
+  function _message_statement(in_tokens, in_offset) {
+    var match_result = {
+      type : 'message_statement',
+      attr: { sender : null, receiver : null, arrow : null, activation : null, create : false, message : '' },
+      children : [],
+      offset : in_offset,
+      length : 0
+    };
+
+    var state = 0;
+    for (var i = in_offset; i < in_tokens.length && 5 != state; ++i) {
+      var type = in_tokens[i].type;
+      var value = in_tokens[i].value;
+
+      switch (state) {
+        case 0: //sender
+          if ('space' == type) {
+            continue;
+          }
+          if (type != 'word' || (!_is_edge(value) && (_is_keyword(value) || !_is_object(value)))) {
+            return _error('message_statement', 'sender object name', in_tokens[i]);
+          }
+          match_result.attr.sender = value;
+          state = 1;
+          break;
+        case 1: //arrow
+          if ('space' == in_tokens[i].type) {
+            continue;
+          }
+          if (type != 'arrow') {
+            return _error('message_statement', "'->', '-->', '->>', '-x' or '<->'", in_tokens[i]);
+          }
+          match_result.attr.arrow = _arrows[value];
+          state = 2;
+          break;
+        case 2: //receiver
+          if ('space' == in_tokens[i].type) {
+            continue;
+          }
+          if (null == match_result.attr.activation && ('+' == value || '-' == value)) {
+            match_result.attr.activation = ('+' == value ? 'activate' : 'deactivate');
+            continue;
+          }
+          if (!match_result.attr.create && '*' == value) {
+            match_result.attr.create = true;
+            continue;
+          }
+          //an edge can't be activated or created, nor can both ends be edges
+          var is_edge = _is_edge(value);
+          if (type != 'word' || (!is_edge && (_is_keyword(value) || !_is_object(value)))
+            || (is_edge && (_is_edge(match_result.attr.sender) || match_result.attr.create || 'activate' == match_result.attr.activation))
+            || (_is_edge(match_result.attr.sender) && 'deactivate' == match_result.attr.activation)) {
+            return _error('message_statement', 'receiver object name', in_tokens[i]);
+          }
+          match_result.attr.receiver = value;
+          state = 3;
+          break;
+        case 3: //:
+          if ('space' == in_tokens[i].type) {
+            continue;
+          }
+          if (type == ';' || type == 'newline') {
+            state = 5;
+            break;
+          }
+          if (type != ':') {
+            return _error('message_statement', "':' or end of statement", in_tokens[i]);
+          }
+          state = 4;
+          break;
+        case 4:
+          if (type == ';' || type == 'newline' || type == 'eof') {
+            state = 5;
+            break;
+          }
+
+          //ignore leading spaces
+          if ('space' == type) {
+            '' != match_result.attr.message && (match_result.attr.message += value);
+          }
+          else {
+            match_result.attr.message += value;
+          }
+          break;
+      }
+    }
+
+    if (state < 3) {
+      return _error('message_statement', 'end of statement', in_tokens[in_tokens.length - 1]);
+    }
+
+    match_result.length = i - in_offset;
+    return match_result;
+  }
+
+  return {
+    sequence_diagram : sequence_diagram,
+    is_keyword : _is_keyword,
+    is_edge : _is_edge
+  };
+})();
+
+/*
+ * Importer of PlantUML and Mermaid sequence diagrams. Each line of the foreign
+ * source becomes one line of text-diagram source, which parser.sequence_diagram
+ * then turns into the usual AST, so syntax errors keep the original line numbers.
+ *
+ * Both functions return { ast, source, warnings }: ast is the parser result (an
+ * error when the translation doesn't parse), source the translated text-diagram
+ * source and warnings a list of { line, message } for constructs that are
+ * dropped or only approximated.
+ */
+var importer = (function() {
+  //PlantUML arrow: optional x/</half heads, one or two dashes, optional >/x/half heads
+  var _plantuml_message = /^("[^"]*"|[^\s"]+?)\s*(x?<{1,2}-{1,2}>{0,2}|-{1,2}>{1,2}x?|-{1,2}x|-{1,2}[\/\\]{1,2}|[\/\\]{1,2}-{1,2})\s*("[^"]*"|[^\s"]+?)((?:\s*(?:\+\+|--|\*\*|!!))*)\s*(?::\s*(.*))?$/;
+  var _plantuml_participant = /^(participant|actor|boundary|control|entity|database|collections|queue)\s+("[^"]*"|[^\s"<>\/\\-][^\s"]*)(?:\s+as\s+("[^"]*"|[^\s"]+))?(\s.*)?$/;
+  var _plantuml_note = /^[hr]?note\s+(left|right|over)(?:\s+of)?\s+([^:]+?)\s*(?::\s*(.*))?$/i;
+  var _plantuml_ref = /^ref\s+over\s+([^:]+?)\s*(?::\s*(.*))?$/i;
+
+  var _mermaid_message = /^([^\s:+<>-]+)\s*(<<-->>|<<->>|-->>|->>|--x|-x|--\)|-\)|-->|->)\s*([+-])?\s*([^\s:]+)\s*(?::\s*(.*))?$/;
+  var _mermaid_participant = /^(participant|actor)\s+(\S+)(?:\s+as\s+(.+))?$/;
+  var _mermaid_note = /^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i;
+
+  //state of one translation
+  function _context() {
+    return { lines : [], warnings : [], aliases : Object.create(null), used : Object.create(null), blocks : [], note : null, ref : null, caption : null };
+  }
+
+  function _warn(ctx, in_line, in_message) {
+    ctx.warnings.push({ line : in_line, message : in_message });
+  }
+
+  //text is one statement: ';' would end it early, "//" out of a [[link]] would start a comment
+  function _text(ctx, in_line, in_text) {
+    if (in_text.indexOf(';') >= 0) {
+      _warn(ctx, in_line, "';' in text replaced with ','");
+    }
+    var commented = false;
+    var text = in_text.replace(/\[\[(?:.*?\]\]|.*$)|\/(?=\/)/g, function(m) {
+      if ('/' != m) {
+        return m;
+      }
+      commented = true;
+      return '/ ';
+    });
+    if (commented) {
+      _warn(ctx, in_line, "'//' in text replaced with '/ /'");
+    }
+    return util.trim(text.replace(/;/g, ','));
+  }
+
+  //text-diagram name of a participant, declaring it when the name can't be used as is
+  //in_kind: participant kind to declare it with, a plain object by default
+  //in_order: order hint to declare it with
+  function _object(ctx, in_name, in_display, out_statements, in_kind, in_order) {
+    var name = util.trim(in_name.replace(/^"|"$/g, ''));
+    if (null != ctx.aliases[name]) {
+      return ctx.aliases[name];
+    }
+
+    var alias = name;
+    if (!/^[A-Za-z0-9_]+$/.test(alias) || parser.is_keyword(alias) || 'object' == alias) {
+      alias = name.replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '') || 'P';
+      while (ctx.used[alias] || parser.is_keyword(alias) || 'object' == alias) {
+        alias += '_';
+      }
+    }
+    ctx.aliases[name] = alias;
+    ctx.used[alias] = true;
+
+    var display = (null == in_display ? name : in_display);
+    var keyword = in_kind || 'object';
+    var order = (null == in_order ? '' : ' order ' + in_order);
+    if (alias != display) {
+      out_statements.push(keyword + ' "' + display.replace(/"/g, "'") + '" as ' + alias + order);
+    }
+    else {
+      out_statements.push(keyword + ' ' + alias + order);
+    }
+    return alias;
+  }
+
+  //in_sender or in_receiver may be an edge, "[" or "]"
+  function _message(ctx, in_sender, in_arrow, in_receiver, in_activation, in_text, out_statements) {
+    var s = (parser.is_edge(in_sender) ? in_sender : _object(ctx, in_sender, null, out_statements));
+    var r = (parser.is_edge(in_receiver) ? in_receiver : _object(ctx, in_receiver, null, out_statements));
+    var activation = (in_activation || '').replace('create', '*').replace(/ ?deactivate/, '-').replace(/ ?activate/, '+');
+    out_statements.push(s + in_arrow + activation + r + (null == in_text || '' == in_text ? '' : ': ' + in_text));
+  }
+
+  //alt/opt/loop map to fragments, a box to a group of participants, other blocks are dropped along with their "end"
+  function _open_block(ctx, in_line, in_kind, in_guard, out_statements) {
+    if ('box' == in_kind) {
+      ctx.blocks.push(in_kind);
+      _box(ctx, in_line, in_guard, out_statements);
+    }
+    else if ('alt' == in_kind || 'opt' == in_kind || 'loop' == in_kind) {
+      ctx.blocks.push(in_kind);
+      out_statements.push(in_kind + (in_guard ? ' ' + _text(ctx, in_line, in_guard) : ''));
+    }
+    else {
+      ctx.blocks.push(null);
+      _warn(ctx, in_line, "'" + in_kind + "' block is not supported, its frame is dropped");
+    }
+  }
+
+  function _close_block(ctx, in_line, out_statements) {
+    if (0 == ctx.blocks.length) {
+      _warn(ctx, in_line, "'end' without a block, ignored");
+      return;
+    }
+    var block = ctx.blocks.pop();
+    if (null != block) {
+      out_statements.push('box' == block ? 'end box' : 'end');
+    }
+  }
+
+  //box with the label in in_text, its color dropped
+  function _box(ctx, in_line, in_text, out_statements) {
+    var label = util.trim(in_text.replace(/#\w+|\b(?:rgba?|hsla?)\([^)]*\)|^transparent\b/g, ''));
+    if (label != util.trim(in_text)) {
+      _warn(ctx, in_line, 'box color ignored');
+    }
+    label = label.replace(/^"(.*)"$/, '$1');
+    out_statements.push('box' + ('' == label ? '' : ' "' + _text(ctx, in_line, label).replace(/"/g, "'") + '"'));
+  }
+
+  function _else(ctx, in_line, in_guard, out_statements) {
+    var block = ctx.blocks[ctx.blocks.length - 1];
+    if ('alt' == block) {
+      out_statements.push('else' + (in_guard ? ' ' + _text(ctx, in_line, in_guard) : ''));
+    }
+    else {
+      _warn(ctx, in_line, "'else' outside of 'alt' is not supported, ignored");
+    }
+  }
+
+  function _note(ctx, in_line, in_side, in_objects, in_text, out_statements) {
+    var objects = in_objects.split(',');
+    var side = in_side.toLowerCase().replace(' of', '');
+    if ('over' == side) {
+      //a note over spans from the first to the last object
+      if (objects.length > 2) {
+        _warn(ctx, in_line, "'note over' spans the first and last of its participants only");
+        objects = [objects[0], objects[objects.length - 1]];
+      }
+      for (var i = 0; i < objects.length; ++i) {
+        objects[i] = _object(ctx, objects[i], null, out_statements);
+      }
+      out_statements.push('note over ' + objects.join(', ') + ': ' + in_text);
+      return;
+    }
+    var obj = _object(ctx, objects[0], null, out_statements);
+    out_statements.push('note ' + side + ' of ' + obj + ': ' + in_text);
+  }
+
+  //a PlantUML link [[url label]] in in_text is kept as "label [[url]]"
+  function _ref(ctx, in_line, in_objects, in_text, out_statements) {
+    var objects = in_objects.split(',');
+    for (var i = 0; i < objects.length; ++i) {
+      objects[i] = _object(ctx, objects[i], null, out_statements);
+    }
+    var text = in_text;
+    var link = '';
+    var m = /\[\[\s*([^\s\]{]+)(?:\{[^}]*\})?\s*([^\]]*)\]\]/.exec(text);
+    if (null != m) {
+      link = ' [[' + m[1] + ']]';
+      text = util.trim(text.substring(0, m.index) + m[2] + text.substring(m.index + m[0].length));
+      if (null != /\[\[/.exec(text)) {
+        _warn(ctx, in_line, 'ref keeps its first link only');
+        text = util.trim(text.replace(/\[\[[^\]]*\]\]/g, ''));
+      }
+    }
+    out_statements.push('ref over ' + objects.join(', ') + ': ' + text + link);
+  }
+
+  function _plantuml_line(ctx, in_line, in_text, out_statements) {
+    var line = in_text;
+    var m;
+
+    //multi-line note, collected up to "end note"
+    if (null != ctx.note) {
+      if (/^end\s*note$/i.test(line)) {
+        var note = ctx.note;
+        ctx.note = null;
+        _note(ctx, note.line, note.side, note.objects, note.text.join('\\n'), out_statements);
+      }
+      else {
+        ctx.note.text.push(_text(ctx, in_line, line));
+      }
+      return;
+    }
+
+    //multi-line ref, collected up to "end ref"
+    if (null != ctx.ref) {
+      if (/^end\s*ref$/i.test(line)) {
+        var ref = ctx.ref;
+        ctx.ref = null;
+        _ref(ctx, ref.line, ref.objects, ref.text.join('\\n'), out_statements);
+      }
+      else {
+        ctx.ref.text.push(_text(ctx, in_line, line));
+      }
+      return;
+    }
+
+    //multi-line title, header or footer, collected up to its "end"; the lines of a legend are copied
+    if (null != ctx.caption) {
+      if (null != (m = /^end\s*(title|header|footer|legend)$/i.exec(line)) && m[1].toLowerCase() == ctx.caption.kind) {
+        out_statements.push('legend' == ctx.caption.kind ? 'end legend' : ctx.caption.kind + ' ' + ctx.caption.text.join('\\n'));
+        ctx.caption = null;
+      }
+      else if ('legend' == ctx.caption.kind) {
+        out_statements.push(_text(ctx, in_line, line));
+      }
+      else {
+        ctx.caption.text.push(_text(ctx, in_line, line));
+      }
+      return;
+    }
+
+    if ('' == line || "'" == line.charAt(0) || /^@(start|end)uml/.test(line)) {
+      return;
+    }
+
+    if (/-\[[^\]]*\]/.test(line)) {
+      _warn(ctx, in_line, 'arrow style ignored');
+      line = line.replace(/-\[[^\]]*\]/g, '-');
+    }
+
+    if (null != (m = _plantuml_participant.exec(line))) {
+      var name = m[2];
+      var display = null;
+      if (null != m[3]) {
+        //participant "Long name" as L, or participant L as "Long name"
+        display = ('"' == name.charAt(0) ? name : m[3]).replace(/^"|"$/g, '');
+        name = ('"' == name.charAt(0) ? m[3] : name);
+      }
+      var kind = m[1];
+      if ('collections' == kind) {
+        _warn(ctx, in_line, "'collections' is drawn as a plain participant");
+      }
+      var order = /\border\s+(-?\d+)/.exec(m[4] || '');
+      _object(ctx, name, display, out_statements, ('participant' == kind || 'collections' == kind) ? null : kind, null == order ? null : parseInt(order[1]));
+    }
+    else if (null != (m = _plantuml_note.exec(line))) {
+      if (null == m[3]) {
+        ctx.note = { line : in_line, side : m[1], objects : m[2], text : [] };
+      }
+      else {
+        _note(ctx, in_line, m[1], m[2], _text(ctx, in_line, m[3]), out_statements);
+      }
+    }
+    else if (null != (m = _plantuml_ref.exec(line))) {
+      if (null == m[2]) {
+        ctx.ref = { line : in_line, objects : m[1], text : [] };
+      }
+      else {
+        _ref(ctx, in_line, m[1], _text(ctx, in_line, m[2]), out_statements);
+      }
+    }
+    else if (null != (m = /^(alt|opt|loop|group|par|critical|break)\b\s*(.*)$/.exec(line))) {
+      _open_block(ctx, in_line, m[1], m[2], out_statements);
+    }
+    else if (null != (m = /^else\b\s*(.*)$/.exec(line))) {
+      _else(ctx, in_line, m[1], out_statements);
+    }
+    else if (/^end$/.test(line)) {
+      _close_block(ctx, in_line, out_statements);
+    }
+    else if (null != (m = /^box\b\s*(.*)$/.exec(line))) {
+      _open_block(ctx, in_line, 'box', m[1], out_statements);
+    }
+    else if (/^end\s*box$/.test(line)) {
+      if ('box' != ctx.blocks[ctx.blocks.length - 1]) {
+        _warn(ctx, in_line, "'end box' without a box, ignored");
+        return;
+      }
+      _close_block(ctx, in_line, out_statements);
+    }
+    else if (!_plantuml_message.test(line) && null != (m = /^(activate|deactivate)\s+(\S+)/.exec(line))) {
+      //not "activate -> B", a message from a participant named activate
+      out_statements.push(m[1] + ' ' + _object(ctx, m[2], null, out_statements));
+    }
+    else if (null != (m = /^create\s+(?:(participant|actor|boundary|control|entity|database|collections|queue)\s+)?("[^"]*"|\S+)$/.exec(line))) {
+      var kind = (null == m[1] || 'participant' == m[1] || 'collections' == m[1] ? null : m[1]);
+      out_statements.push('create ' + _object(ctx, m[2], null, out_statements, kind));
+    }
+    else if (!_plantuml_message.test(line) && null != (m = /^destroy\s+(\S+)$/.exec(line))) {
+      out_statements.push('destroy ' + _object(ctx, m[1], null, out_statements));
+    }
+    else if (!_plantuml_message.test(line) && null != (m = /^autonumber\b\s*(stop|resume|(\d+)?\s*(\d+)?)\s*(.*)$/.exec(line))) {
+      if ('' != m[4]) {
+        _warn(ctx, in_line, 'autonumber format ignored');
+      }
+      out_statements.push(('stop' == m[1] || 'resume' == m[1]) ? 'autonumber ' + m[1] : util.trim('autonumber ' + (m[2] || '') + ' ' + (m[3] || '')));
+    }
+    else if (/^hide\s+unlinked$/i.test(line)) {
+      out_statements.push('hide unlinked');
+    }
+    else if (null != (m = /^skinparam\s+maxMessageSize\s+(\d+)$/i.exec(line))) {
+      out_statements.push('wrap ' + Math.ceil(parseInt(m[1]) / 7));
+    }
+    else if (null != (m = /^(?:(left|right|center)\s+)?(title|header|footer)\b(?!\s*[-<])\s*(.*)$/i.exec(line))) {
+      var kind = m[2].toLowerCase();
+      if (null != m[1] && m[1].toLowerCase() != ('header' == kind ? 'right' : 'center')) {
+        _warn(ctx, in_line, "'" + m[1] + "' " + kind + " is drawn " + ('header' == kind ? 'right aligned' : 'centered'));
+      }
+      if ('' == m[3]) {
+        ctx.caption = { line : in_line, kind : kind, text : [] };
+      }
+      else {
+        out_statements.push(kind + ' ' + _text(ctx, in_line, m[3]));
+      }
+    }
+    else if (null != (m = /^legend\b\s*(.*)$/i.exec(line))) {
+      var align = /\b(left|right|center)\b/i.exec(m[1]);
+      if (/\btop\b/i.test(m[1])) {
+        _warn(ctx, in_line, 'legend is drawn below the diagram');
+      }
+      ctx.caption = { line : in_line, kind : 'legend', text : [] };
+      out_statements.push('legend' + (null == align ? '' : ' ' + align[1].toLowerCase()));
+    }
+    else if (null != (m = /^==\s*(.*?)\s*==$/.exec(line))) {
+      out_statements.push('' == m[1] ? '== ==' : '== ' + _text(ctx, in_line, m[1]) + ' ==');
+    }
+    else if (null != (m = /^\.\.\.(?:\s*(.*?)\s*\.\.\.)?$/.exec(line))) {
+      out_statements.push(null == m[1] || '' == m[1] ? '...' : '... ' + _text(ctx, in_line, m[1]) + ' ...');
+    }
+    else if (null != (m = /^\|\|(?:\||(\d+)\|\|)$/.exec(line))) {
+      out_statements.push('space ' + (null == m[1] ? 2 : Math.max(1, Math.round(parseInt(m[1]) / 16))));
+    }
+    else if (null != (m = _plantuml_message.exec(line))) {
+      var arrow = m[2];
+      var sender = m[1];
+      var receiver = m[3];
+      if ('?' == sender || '?' == receiver) {
+        _warn(ctx, in_line, "short arrow to or from '?' drawn to the edge of the diagram");
+        sender = ('?' == sender ? '[' : sender);
+        receiver = ('?' == receiver ? ']' : receiver);
+      }
+      var reversed = ('<' == arrow.charAt(0) || 'x' == arrow.charAt(0) || /^[\/\\]/.test(arrow)) && !/>/.test(arrow);
+      if (reversed) {
+        sender = m[3];
+        receiver = m[1];
+      }
+
+      var kind = '->';
+      if (/</.test(arrow) && />/.test(arrow)) {
+        kind = '<->';
+      }
+      else if (/x/.test(arrow)) {
+        kind = '-x';
+      }
+      else if (/--/.test(arrow)) {
+        kind = '-->';
+      }
+      else if (/<<|>>/.test(arrow)) {
+        kind = '->>';
+      }
+      else if (/[\/\\]/.test(arrow)) {
+        _warn(ctx, in_line, 'half arrow drawn as a full arrow');
+      }
+
+      //suffixes: ++ activates, -- deactivates, ** creates and !! destroys
+      var activation = (m[4].indexOf('**') >= 0 ? 'create' : null);
+      if (m[4].indexOf('++') >= 0) {
+        activation = ('create' == activation ? 'create activate' : 'activate');
+      }
+      else if (m[4].indexOf('--') >= 0) {
+        activation = ('create' == activation ? 'create deactivate' : 'deactivate');
+      }
+      //the edge of the diagram is neither created, activated, deactivated nor destroyed
+      if ((parser.is_edge(receiver) && /create|\bactivate|!!/.test(activation + m[4]))
+        || (parser.is_edge(sender) && /deactivate/.test(activation))) {
+        _warn(ctx, in_line, 'suffix of a message to or from the outside ignored');
+        activation = null;
+      }
+      _message(ctx, sender, kind, receiver, activation, null == m[5] ? null : _text(ctx, in_line, m[5]), out_statements);
+      if (m[4].indexOf('!!') >= 0 && !parser.is_edge(receiver)) {
+        out_statements.push('destroy ' + _object(ctx, receiver, null, out_statements));
+      }
+    }
+    else {
+      _warn(ctx, in_line, "'" + line.split(/\s+/)[0] + "' is not supported, line ignored");
+    }
+  }
+
+  function _mermaid_line(ctx, in_line, in_text, out_statements) {
+    var line = in_text;
+    var m;
+
+    if ('' == line || /^%%/.test(line) || /^sequenceDiagram\b/.test(line)) {
+      return;
+    }
+
+    if (null != (m = /^title\b\s*:?\s*(.*)$/.exec(line))) {
+      out_statements.push('title ' + _text(ctx, in_line, m[1]));
+    }
+    else if (null != (m = _mermaid_participant.exec(line))) {
+      _object(ctx, m[2], null == m[3] ? null : util.trim(m[3]), out_statements, 'actor' == m[1] ? 'actor' : null);
+    }
+    else if (null != (m = _mermaid_note.exec(line))) {
+      _note(ctx, in_line, m[1], m[2], _text(ctx, in_line, m[3].replace(/<br\s*\/?>/gi, '\\n')), out_statements);
+    }
+    else if (null != (m = /^(alt|opt|loop|par|critical|break|rect|box)\b\s*(.*)$/.exec(line))) {
+      _open_block(ctx, in_line, m[1], m[2], out_statements);
+    }
+    else if (null != (m = /^(else|and|option)\b\s*(.*)$/.exec(line))) {
+      if ('else' == m[1]) {
+        _else(ctx, in_line, m[2], out_statements);
+      }
+    }
+    else if (/^end$/.test(line)) {
+      _close_block(ctx, in_line, out_statements);
+    }
+    else if (!_mermaid_message.test(line) && null != (m = /^(activate|deactivate)\s+(\S+)$/.exec(line))) {
+      out_statements.push(m[1] + ' ' + _object(ctx, m[2], null, out_statements));
+    }
+    else if ('autonumber' == line) {
+      out_statements.push('autonumber');
+    }
+    else if (null != (m = /^create\s+(participant|actor)\s+(\S+)(?:\s+as\s+(.+))?$/.exec(line))) {
+      var alias = _object(ctx, m[2], null == m[3] ? null : util.trim(m[3]), out_statements, 'actor' == m[1] ? 'actor' : null);
+      out_statements.push('create ' + alias);
+    }
+    else if (!_mermaid_message.test(line) && null != (m = /^destroy\s+(\S+)$/.exec(line))) {
+      out_statements.push('destroy ' + _object(ctx, m[1], null, out_statements));
+    }
+    else if (null != (m = _mermaid_message.exec(line))) {
+      var arrows = {
+        '->>' : '->', '->' : '->', '-->>' : '-->', '-->' : '-->', '-x' : '-x', '--x' : '-x',
+        '-)' : '->>', '--)' : '->>', '<<->>' : '<->', '<<-->>' : '<->'
+      };
+      var activation = ('+' == m[3] ? 'activate' : '-' == m[3] ? 'deactivate' : null);
+      var text = (null == m[5] ? null : _text(ctx, in_line, m[5].replace(/<br\s*\/?>/gi, '\\n')));
+      _message(ctx, m[1], arrows[m[2]], m[4], activation, text, out_statements);
+    }
+    else {
+      _warn(ctx, in_line, "'" + line.split(/\s+/)[0] + "' is not supported, line ignored");
+    }
+  }
+
+  function _import(in_src, in_line_func) {
+    var ctx = _context();
+    var lines = in_src.split(/\r\n|\r|\n/);
+    var in_comment = false;
+
+    for (var i = 0; i < lines.length; ++i) {
+      var line = util.trim(lines[i]);
+      var statements = [];
+
+      //PlantUML block comment /' ... '/
+      if (in_comment || (in_line_func == _plantuml_line && /^\/'/.test(line))) {
+        in_comment = !/'\/$/.test(line) || (!in_comment && "/'/" == line);
+      }
+      else {
+        in_line_func(ctx, i + 1, line, statements);
+      }
+      ctx.lines.push(statements.join('; '));
+    }
+
+    if (null != ctx.note) {
+      _warn(ctx, ctx.note.line, "note without 'end note', dropped");
+    }
+    if (null != ctx.ref) {
+      _warn(ctx, ctx.ref.line, "ref without 'end ref', dropped");
+    }
+    if (null != ctx.caption) {
+      _warn(ctx, ctx.caption.line, ctx.caption.kind + " without 'end " + ctx.caption.kind + "'" + ('legend' == ctx.caption.kind ? '' : ', dropped'));
+      if ('legend' == ctx.caption.kind) {
+        ctx.lines.push('end legend');
+      }
+    }
+    for (var i = 0; i < ctx.blocks.length; ++i) {
+      _warn(ctx, lines.length, "block without 'end'");
+    }
+
+    var source = ctx.lines.join('\n');
+    return { ast : parser.sequence_diagram(source), source : source, warnings : ctx.warnings };
+  }
+
+  return {
+    plantuml : function(in_src) {
+      return _import(in_src, _plantuml_line);
+    },
+
+    mermaid : function(in_src) {
+      return _import(in_src, _mermaid_line);
+    }
+  };
+})();
+
+/*
+ * Exporter of the AST from parser.sequence_diagram to PlantUML and Mermaid
+ * source. Participants are declared in the order of meta.objs, so they are
+ * drawn in the same order by the other tools.
+ */
+var exporter = (function() {
+  var _plantuml_arrows = { sync : '->', reply : '-->', async : '->>', lost : '->x', bidirectional : '<->' };
+  //pointing left, PlantUML writes the edge of a message to the outside on the side it is at
+  var _plantuml_left_arrows = { sync : '<-', reply : '<--', async : '<<-', lost : 'x<-', bidirectional : '<->' };
+  var _mermaid_arrows = { sync : '->>', reply : '-->>', async : '-)', lost : '-x', bidirectional : '<<->>' };
+
+  function _indent(in_depth) {
+    return new Array(in_depth + 1).join('  ');
+  }
+
+  //"left of A", "right of A" or "over A, C"
+  function _note_position(in_ast) {
+    if ('over' == in_ast.attr.side) {
+      return 'over ' + in_ast.attr.objects.join(', ');
+    }
+    return in_ast.attr.side + ' of ' + in_ast.attr.object;
+  }
+
+  //ref over A, B: text [[link]]
+  function _ref(in_ast) {
+    var link = (null == in_ast.attr.link ? '' : ' [[' + in_ast.attr.link + ']]');
+    return 'ref ' + _note_position(in_ast) + ': ' + util.trim(in_ast.attr.content) + link;
+  }
+
+  //title, header and footer on one line, a legend on lines up to "end legend"; the same in PlantUML
+  function _caption(in_ast) {
+    if ('legend' != in_ast.attr.kind) {
+      return [util.trim(in_ast.attr.kind + ' ' + in_ast.attr.text)];
+    }
+    var lines = ['legend' + ('center' == in_ast.attr.align ? '' : ' ' + in_ast.attr.align)];
+    var text = in_ast.attr.text.split('\\n');
+    for (var i = 0; i < text.length; ++i) {
+      lines.push('' == text[i] ? '' : '  ' + text[i]);
+    }
+    lines.push('end legend');
+    return lines;
+  }
+
+  //"== title ==", "..." or "... text ...", PlantUML writes them the same way
+  function _marked(in_ast) {
+    if ('divider_statement' == in_ast.type) {
+      return ('' == in_ast.attr.text ? '== ==' : '== ' + in_ast.attr.text + ' ==');
+    }
+    return ('' == in_ast.attr.text ? '...' : '... ' + in_ast.attr.text + ' ...');
+  }
+
+  //participants in meta.objs order, in_declare returns the line of one of them or null to leave it out,
+  //in_box the line opening a group with a label or closing it without one
+  //in_hide: leave out the participants "hide unlinked" hides instead of declaring them
+  function _participants(in_ast, in_declare, in_box, in_hide) {
+    html_render.add_meta(in_ast, { show_unlinked : !in_hide });
+
+    var meta = in_ast.meta;
+    var lines = [];
+    var group = null;
+    for (var i = 0; i < meta.objs.length; ++i) {
+      var obj = meta.objs[i];
+      var obj_group = null;
+      for (var j = 0; j < meta.groups.length; ++j) {
+        if (meta.groups[j].meta.first <= i && i <= meta.groups[j].meta.last) {
+          obj_group = meta.groups[j];
+        }
+      }
+      if (obj_group != group) {
+        if (null != group) {
+          lines.push(in_box(null));
+        }
+        if (null != obj_group) {
+          lines.push(in_box(obj_group.attr.label));
+        }
+        group = obj_group;
+      }
+      var line = in_declare(obj, obj == meta.labels[obj] ? null : meta.labels[obj], meta.kinds[obj], null != group, meta.orders[obj]);
+      if (null != line) {
+        lines.push(line);
+      }
+    }
+    if (null != group) {
+      lines.push(in_box(null));
+    }
+    return lines;
+  }
+
+  //printer of indented lines into out_lines, in_statement returns the lines of one statement
+  function _printer(in_statement, out_lines) {
+    return {
+      statement : in_statement,
+      condition : function(in_condition) {
+        return in_condition;
+      },
+      line : function(in_depth, in_text, in_source_line) {
+        out_lines.push(_indent(in_depth) + in_text);
+      }
+    };
+  }
+
+  //print the statements under in_ast
+  function _statements(in_ast, in_depth, in_printer) {
+    for (var i = 0; i < in_ast.children.length; ++i) {
+      var ast = in_ast.children[i];
+      if ('fragment_statement' == ast.type) {
+        for (var j = 0; j < ast.children.length; ++j) {
+          var condition = ast.attr.conditions[j];
+          var keyword = (0 == j ? ast.attr.kind : 'else');
+          in_printer.line(in_depth, keyword + ('' == condition ? '' : ' ' + in_printer.condition(condition)), ast.lines[j]);
+          _statements(ast.children[j], in_depth + 1, in_printer);
+        }
+        in_printer.line(in_depth, 'end', ast.lines[ast.lines.length - 1]);
+      }
+      else if ('statements' == ast.type) {
+        _statements(ast, in_depth, in_printer);
+      }
+      else {
+        var lines = in_printer.statement(ast);
+        //a legend prints a line for each of its source lines
+        for (var j = 0; j < lines.length; ++j) {
+          in_printer.line(in_depth, lines[j], ast.line + ('caption_statement' == ast.type ? j : 0));
+        }
+      }
+    }
+  }
+
+  //same syntax in PlantUML and text-diagram
+  function _autonumber(ast) {
+    if ('start' != ast.attr.action) {
+      return 'autonumber ' + ast.attr.action;
+    }
+    if (1 == ast.attr.step) {
+      return 'autonumber' + (1 == ast.attr.start ? '' : ' ' + ast.attr.start);
+    }
+    return 'autonumber ' + ast.attr.start + ' ' + ast.attr.step;
+  }
+
+  function plantuml(in_ast) {
+    var lines = ['@startuml'];
+
+    lines = lines.concat(_participants(in_ast, function(obj, label, kind, in_group, in_order) {
+      return (in_group ? '  ' : '') + kind + ' ' + (null == label ? obj : '"' + label + '" as ' + obj) + (null == in_order ? '' : ' order ' + in_order);
+    }, function(in_label) {
+      return (null == in_label ? 'end box' : 'box "' + in_label + '"');
+    }));
+
+    _statements(in_ast, 0, _printer(function(ast) {
+      if ('message_statement' == ast.type) {
+        var activation = { activate : ' ++', deactivate : ' --' }[ast.attr.activation] || '';
+        if (ast.attr.create) {
+          activation = ' **' + activation;
+        }
+        var text = util.trim(ast.attr.message);
+        var message = ('' == text ? '' : ' : ' + text);
+        var left = ast.attr.sender;
+        var right = ast.attr.receiver;
+        var arrow = _plantuml_arrows[ast.attr.arrow];
+        if ('[' == right || ']' == left) {
+          left = ast.attr.receiver;
+          right = ast.attr.sender;
+          arrow = _plantuml_left_arrows[ast.attr.arrow];
+        }
+        //an edge is written without a space to the arrow
+        return [left + ('[' == left ? '' : ' ') + arrow + (']' == right ? '' : ' ') + right + activation + message];
+      }
+      else if ('note_statement' == ast.type) {
+        return ['note ' + _note_position(ast) + ' : ' + ast.attr.content];
+      }
+      else if ('ref_statement' == ast.type) {
+        //a link is written with its text as the label
+        var content = (null == ast.attr.link ? ast.attr.content : '[[' + ast.attr.link + ' ' + ast.attr.content + ']]');
+        return ['ref ' + _note_position(ast) + ' : ' + content];
+      }
+      else if ('space_statement' == ast.type) {
+        //PlantUML spaces in pixels, a text row is about 16 of them
+        return ['||' + ast.attr.gap_size * 16 + '||'];
+      }
+      else if ('caption_statement' == ast.type) {
+        return _caption(ast);
+      }
+      else if ('divider_statement' == ast.type || 'delay_statement' == ast.type) {
+        return [_marked(ast)];
+      }
+      else if ('activation_statement' == ast.type) {
+        return [ast.attr.action + ' ' + ast.attr.object];
+      }
+      else if ('wrap_statement' == ast.type) {
+        //in pixels, about 7 per character
+        return ['skinparam maxMessageSize ' + ast.attr.width * 7];
+      }
+      else if ('autonumber_statement' == ast.type) {
+        return [_autonumber(ast)];
+      }
+      else if ('lifeline_statement' == ast.type) {
+        return [ast.attr.action + ' ' + ast.attr.object];
+      }
+      else if ('hide_statement' == ast.type) {
+        return ['hide ' + ast.attr.what];
+      }
+      return [];
+    }, lines));
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+  }
+
+  //Mermaid breaks lines with <br/> instead of \n
+  function _mermaid_text(in_text) {
+    return in_text.replace(/\\n/g, '<br/>');
+  }
+
+  //out_warnings: { line, message } of each statement Mermaid can't draw, with the file of one that was included
+  function mermaid(in_ast, out_warnings) {
+    var lines = ['sequenceDiagram'];
+
+    function _warn(in_ast, in_message) {
+      if (null == out_warnings) {
+        return;
+      }
+      var warning = { line : in_ast.line, message : in_message };
+      if (null != in_ast.file) {
+        warning.file = in_ast.file;
+      }
+      out_warnings.push(warning);
+    }
+    //"participant A as Label" or "actor A"
+    function _declare(obj, in_label, in_kind) {
+      return ('actor' == in_kind ? 'actor' : 'participant') + ' ' + obj + (null == in_label ? '' : ' as ' + _mermaid_text(in_label));
+    }
+
+    //Mermaid only knows actors, and has no order hints nor hiding:
+    //the participants are declared in their order, the hidden ones left out,
+    //one a message creates is declared by "create participant" before that message instead
+    var declarations = _participants(in_ast, function(obj, label, kind, in_group) {
+      var creation = in_ast.meta.creations[obj];
+      if (null != creation && 'message_statement' == creation.type) {
+        if (in_group) {
+          _warn(creation, "'" + obj + "' is created out of its box");
+        }
+        return null;
+      }
+      return _indent(in_group ? 2 : 1) + _declare(obj, label, kind);
+    }, function(in_label) {
+      return '  ' + (null == in_label ? 'end' : 'box ' + in_label);
+    }, true);
+    //nor a box all of whose participants are created
+    for (var i = 0; i < declarations.length; ++i) {
+      if (0 == declarations[i].indexOf('  box ') && '  end' == declarations[i + 1]) {
+        declarations.splice(i--, 2);
+      }
+    }
+    lines = lines.concat(declarations);
+    var meta = in_ast.meta;
+
+    _statements(in_ast, 1, _printer(function(ast) {
+      if ('message_statement' == ast.type) {
+        var activation = { activate : '+', deactivate : '-' }[ast.attr.activation] || '';
+        var text = util.trim(ast.attr.message);
+        var message = ':' + ('' == text ? '' : ' ' + _mermaid_text(text));
+        if (parser.is_edge(ast.attr.sender) || parser.is_edge(ast.attr.receiver)) {
+          //Mermaid has no messages from or to the outside, keep it as a comment
+          _warn(ast, 'message to or from the outside kept as a comment');
+          return ['%% ' + ast.attr.sender + _mermaid_arrows[ast.attr.arrow] + activation + ast.attr.receiver + message];
+        }
+        var line = ast.attr.sender + _mermaid_arrows[ast.attr.arrow] + activation + ast.attr.receiver + message;
+        if (ast.meta.creates) {
+          var receiver = ast.attr.receiver;
+          return ['create ' + _declare(receiver, receiver == meta.labels[receiver] ? null : meta.labels[receiver], meta.kinds[receiver]), line];
+        }
+        return [line];
+      }
+      else if ('note_statement' == ast.type) {
+        return ['Note ' + _note_position(ast) + ': ' + _mermaid_text(ast.attr.content)];
+      }
+      else if ('ref_statement' == ast.type) {
+        //Mermaid has no references either
+        _warn(ast, 'ref kept as a comment');
+        return ['%% ' + _ref(ast)];
+      }
+      else if ('space_statement' == ast.type) {
+        //Mermaid has no spacer, keep the gap as a comment
+        _warn(ast, 'space kept as a comment');
+        return ['%% space ' + ast.attr.gap_size];
+      }
+      else if ('divider_statement' == ast.type || 'delay_statement' == ast.type) {
+        //nor dividers and delays
+        _warn(ast, ('divider_statement' == ast.type ? 'divider' : 'delay') + ' kept as a comment');
+        return ['%% ' + _marked(ast)];
+      }
+      else if ('caption_statement' == ast.type) {
+        //only a title
+        if ('title' == ast.attr.kind) {
+          return ['title ' + _mermaid_text(ast.attr.text)];
+        }
+        _warn(ast, ast.attr.kind + ' kept as a comment');
+        var lines = _caption(ast);
+        for (var i = 0; i < lines.length; ++i) {
+          lines[i] = util.trim('%% ' + lines[i]);
+        }
+        return lines;
+      }
+      else if ('activation_statement' == ast.type) {
+        return [ast.attr.action + ' ' + ast.attr.object];
+      }
+      else if ('autonumber_statement' == ast.type && 'start' == ast.attr.action) {
+        //Mermaid numbers all messages from 1, it has no start, step or stop
+        if (1 != ast.attr.start || 1 != ast.attr.step) {
+          _warn(ast, 'autonumber start and step ignored');
+        }
+        return ['autonumber'];
+      }
+      else if ('autonumber_statement' == ast.type) {
+        _warn(ast, "'autonumber " + ast.attr.action + "' dropped");
+      }
+      else if ('lifeline_statement' == ast.type && 'destroy' == ast.attr.action) {
+        return ['destroy ' + ast.attr.object];
+      }
+      else if ('lifeline_statement' == ast.type && ast.meta.creates) {
+        //"create participant" needs a message, without one the participant is declared with the others
+        _warn(ast, "creation of '" + ast.attr.object + "' without a message dropped, it is declared with the others");
+      }
+      else if ('wrap_statement' == ast.type) {
+        //Mermaid wraps no text
+        _warn(ast, 'wrap dropped');
+      }
+      else if ('hide_statement' == ast.type) {
+        _warn(ast, "'hide unlinked' dropped, the participants it hides are left out");
+      }
+      return [];
+    }, lines));
+
+    return lines.join('\n') + '\n';
+  }
+
+  var _arrows = { sync : '->', reply : '-->', async : '->>', lost : '-x', bidirectional : '<->' };
+
+  //in_ast without the statements includes and macro calls expanded to, their directives are printed instead
+  function _own_statements(in_ast) {
+    if (null == in_ast.children) {
+      return in_ast;
+    }
+    var r = {};
+    for (var k in in_ast) {
+      r[k] = in_ast[k];
+    }
+    r.children = [];
+    for (var i = 0; i < in_ast.children.length; ++i) {
+      if (!in_ast.children[i].expanded) {
+        r.children.push(_own_statements(in_ast.children[i]));
+      }
+    }
+    return r;
+  }
+
+  //whether an include or a macro call declares participants
+  function _expands_declarations(in_ast) {
+    for (var i = 0; i < (in_ast.children || []).length; ++i) {
+      var ast = in_ast.children[i];
+      if (('object_declaration' == ast.type && ast.expanded) || _expands_declarations(ast)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  //A, "Long name" as B, C order 1
+  function _participant(obj, in_label, in_order) {
+    return (null == in_label ? obj : '"' + in_label + '" as ' + obj) + (null == in_order ? '' : ' order ' + in_order);
+  }
+
+  //an object declaration as it is
+  function _declaration(in_ast) {
+    var attr = in_ast.attr;
+    var participants = [];
+    for (var i = 0; i < attr.names.length; ++i) {
+      participants.push(_participant(attr.names[i], attr.labels[attr.names[i]], attr.orders[attr.names[i]]));
+    }
+    return ('participant' == attr.kind ? 'object' : attr.kind) + ' ' + participants.join(' ');
+  }
+
+  //canonical text-diagram source: every participant on one object line, then
+  //one statement per line, comments kept next to the statements they were at
+  function text_diagram(in_ast) {
+    //participants an include or a macro declares are drawn in the order of their declarations,
+    //so the others aren't merged into object lines but stay where they are too
+    var in_place = _expands_declarations(in_ast);
+    in_ast = _own_statements(in_ast);
+    var lines = [];
+    var comments = in_ast.attr.comments || [];
+    var next_comment = 0;
+    var last_line = 0; //source line of the last printed or merged statement
+    var last_printed_line = 0;
+
+    //a blank line where the source had one or more
+    function _blank(in_line) {
+      if (lines.length > 0 && in_line > last_line + 1) {
+        lines.push('');
+      }
+    }
+
+    //comments before in_line, one at the end of the last printed line stays there
+    function _comments(in_depth, in_line) {
+      for (; next_comment < comments.length && comments[next_comment].line < in_line; ++next_comment) {
+        var comment = comments[next_comment];
+        if (lines.length > 0 && comment.line == last_printed_line && !comment.directive) {
+          lines[lines.length - 1] += ' ' + comment.text;
+          continue;
+        }
+        _blank(comment.line);
+        lines.push(_indent(in_depth) + comment.text);
+        last_line = comment.line;
+      }
+    }
+
+    var printer = _printer(function(ast) {
+      if ('message_statement' == ast.type) {
+        var activation = (ast.attr.create ? '*' : '') + ({ activate : '+', deactivate : '-' }[ast.attr.activation] || '');
+        var message = util.trim(ast.attr.message);
+        return [ast.attr.sender + _arrows[ast.attr.arrow] + activation + ast.attr.receiver + ('' == message ? '' : ': ' + message)];
+      }
+      else if ('note_statement' == ast.type) {
+        return ['note ' + _note_position(ast) + ': ' + util.trim(ast.attr.content)];
+      }
+      else if ('ref_statement' == ast.type) {
+        return [_ref(ast)];
+      }
+      else if ('space_statement' == ast.type) {
+        return ['space ' + ast.attr.gap_size];
+      }
+      else if ('divider_statement' == ast.type || 'delay_statement' == ast.type) {
+        return [_marked(ast)];
+      }
+      else if ('caption_statement' == ast.type) {
+        return _caption(ast);
+      }
+      else if ('activation_statement' == ast.type) {
+        return [ast.attr.action + ' ' + ast.attr.object];
+      }
+      else if ('wrap_statement' == ast.type) {
+        return ['wrap ' + ast.attr.width];
+      }
+      else if ('autonumber_statement' == ast.type) {
+        return [_autonumber(ast)];
+      }
+      else if ('lifeline_statement' == ast.type) {
+        return [ast.attr.action + ' ' + ast.attr.object];
+      }
+      else if ('hide_statement' == ast.type) {
+        return ['hide ' + ast.attr.what];
+      }
+      else if (in_place && 'object_declaration' == ast.type) {
+        return [_declaration(ast)];
+      }
+      else if (in_place && 'box_statement' == ast.type) {
+        //around the includes and macro calls in it
+        printer.line(0, 'box "' + ast.attr.label + '"', ast.lines[0]);
+        var declarations = ast.children[0].children;
+        for (var i = 0; i < declarations.length; ++i) {
+          printer.line(1, _declaration(declarations[i]), declarations[i].line);
+        }
+        printer.line(0, 'end box', ast.lines[ast.lines.length - 1]);
+        return [];
+      }
+      //object declarations and boxes are merged into the object lines
+      last_line = ('box_statement' == ast.type ? ast.lines[ast.lines.length - 1] : ast.line);
+      return [];
+    }, lines);
+
+    printer.condition = function(in_condition) {
+      return '[' + in_condition + ']';
+    };
+    printer.line = function(in_depth, in_text, in_source_line) {
+      //comments before else and end belong to the section they close
+      _comments(/^(else|end)\b/.test(in_text) ? in_depth + 1 : in_depth, in_source_line);
+      _blank(in_source_line);
+      lines.push(_indent(in_depth) + in_text);
+      last_line = last_printed_line = in_source_line;
+    };
+
+    //one line for each run of participants of the same kind in the same group, so that their order stays
+    var declarations = [];
+    var kind = null;
+    if (!in_place) {
+      _participants(in_ast, function(obj, label, in_kind, in_group, in_order) {
+        var participant = _participant(obj, label, in_order);
+        if (in_kind == kind) {
+          declarations[declarations.length - 1].text += ' ' + participant;
+        }
+        else {
+          declarations.push({ depth : (in_group ? 1 : 0), text : ('participant' == in_kind ? 'object' : in_kind) + ' ' + participant });
+          kind = in_kind;
+        }
+      }, function(in_label) {
+        declarations.push({ depth : 0, text : (null == in_label ? 'end box' : 'box "' + in_label + '"') });
+        kind = null;
+      });
+    }
+    var statements = in_ast.children[0].children;
+    for (var i = 0; i < declarations.length; ++i) {
+      printer.line(declarations[i].depth, declarations[i].text, statements[0].line);
+    }
+
+    _statements(in_ast, 0, printer);
+    _comments(0, Infinity);
+
+    return (0 == lines.length ? '' : lines.join('\n') + '\n');
+  }
+
+  return {
+    plantuml : plantuml,
+    mermaid : mermaid,
+    text_diagram : text_diagram
+  };
+})();
+
+//CommonJS, e.g. require('./text-diagram.js') in Node
+if ('undefined' != typeof module && module.exports) {
+  module.exports = {
+    sequence_diagram : sequence_diagram,
+    render_text : render_text,
+    render_svg : render_svg,
+    format : format,
+    html_render : html_render,
+    parser : parser,
+    importer : importer,
+    exporter : exporter,
+    util : util
+  };
+}